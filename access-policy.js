@@ -0,0 +1,69 @@
+/**
+ * 路径策略（ACCESS_POLICY）的纯函数部分：路径匹配、规则校验、取第一条命中的规则。
+ *
+ * worker.js 的「路径策略」一节负责读配置（env / KV）和按 action 处理请求，这里不碰 env、KV 和网络，
+ * 所以可以直接用 node --test 测（见 access-policy.test.mjs）。
+ * 定时开放、邀请链接的路径范围、仅访问模式的 PUBLIC_BLOCKED_PATHS 也用同一个 pathMatches。
+ */
+
+export const ACCESS_ACTIONS = ["public", "auth", "redacted", "deny"];
+
+// 匹配前的路径规范化：源站（Pages）会解码 %xx、不区分大小写，所以 /%70rivate/、/Private/ 都要当成 /private/ 来匹配。
+// 逐段解码后转小写，连续的 / 合成一个；解码失败、解码后段里有 / 或 \、或者是 . / ..（编码过的，URL 解析时没被处理）
+// 都说明有人想绕开规则，返回 null，调用方直接拒绝。
+export function normalizePath(pathname) {
+  const segments = [];
+  for (const raw of pathname.split("/")) {
+    let seg;
+    try {
+      seg = decodeURIComponent(raw);
+    } catch {
+      return null;
+    }
+    if (/[/\\]/.test(seg) || seg === "." || seg === "..") return null;
+    segments.push(seg.toLowerCase());
+  }
+  return segments.join("/").replace(/\/{2,}/g, "/");
+}
+
+// 路径匹配：/a/b 精确匹配；/a/ 或 /a/* 匹配前缀；其他 * 匹配一段（不跨 /），** 可以跨 /
+// path 要先经过 normalizePath；pattern 同样不区分大小写
+export function pathMatches(pattern, path) {
+  pattern = pattern.toLowerCase();
+  if (!pattern.includes("*")) return pattern.endsWith("/") ? path.startsWith(pattern) : path === pattern;
+  if (pattern.endsWith("/*") && !pattern.slice(0, -2).includes("*")) return path.startsWith(pattern.slice(0, -1));
+  const re = pattern
+    .split("**")
+    .map(part => part.split("*").map(x => x.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join("[^/]*"))
+    .join(".*");
+  return new RegExp(`^${re}$`).test(path);
+}
+
+// 一条规则写错返回 null（调用方忽略这一条）
+export function normalizeAccessRule(it) {
+  if (!it || typeof it !== "object") return null;
+  if (typeof it.path !== "string" || !it.path.startsWith("/")) return null;
+  if (!ACCESS_ACTIONS.includes(it.action)) return null;
+
+  let methods = null;
+  if (it.methods != null) {
+    if (!Array.isArray(it.methods) || !it.methods.every(m => typeof m === "string" && m)) return null;
+    methods = it.methods.map(m => m.toUpperCase());
+  }
+
+  const status = it.status == null ? 403 : Number(it.status);
+  if (status !== 403 && status !== 404) return null;
+
+  let cache = null;
+  if (it.cache != null) {
+    if (typeof it.cache !== "string" || /[\r\n]/.test(it.cache)) return null;
+    cache = it.cache;
+  }
+
+  return { path: it.path, methods, action: it.action, status, cache };
+}
+
+// 按顺序取第一条命中的规则（不是最具体的那条），所以配置里具体的要写在宽泛的前面；都不命中返回 null
+export function findAccessRule(rules, path, method) {
+  return rules.find(r => pathMatches(r.path, path) && (!r.methods || r.methods.includes(method))) || null;
+}
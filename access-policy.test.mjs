@@ -0,0 +1,122 @@
+// node --test：路径匹配和规则优先级（README「路径策略」里写的行为）
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { pathMatches, normalizePath, normalizeAccessRule, findAccessRule } from "./access-policy.js";
+
+const rules = list => list.map(normalizeAccessRule);
+const actionFor = (list, path, method = "GET") => findAccessRule(list, path, method)?.action ?? null;
+
+test("精确匹配：不带 * 也不以 / 结尾的只认完全相同的路径", () => {
+  assert.ok(pathMatches("/robots.txt", "/robots.txt"));
+  assert.ok(!pathMatches("/robots.txt", "/robots.txt/"));
+  assert.ok(!pathMatches("/robots.txt", "/robots.txt2"));
+  assert.ok(!pathMatches("/a/b", "/a"));
+});
+
+test("前缀匹配：/a/ 和 /a/* 都匹配下面任意深度，不匹配 /a 本身", () => {
+  for (const pattern of ["/fonts/", "/fonts/*"]) {
+    assert.ok(pathMatches(pattern, "/fonts/a.woff2"), pattern);
+    assert.ok(pathMatches(pattern, "/fonts/x/y/a.woff2"), pattern);
+    assert.ok(!pathMatches(pattern, "/fonts"), pattern);
+    assert.ok(!pathMatches(pattern, "/fontsx/a.woff2"), pattern);
+  }
+});
+
+test("通配：* 只匹配一段，** 可以跨 /", () => {
+  assert.ok(pathMatches("/a/*.jpg", "/a/x.jpg"));
+  assert.ok(!pathMatches("/a/*.jpg", "/a/b/x.jpg"));
+  assert.ok(pathMatches("/private/**", "/private/a/b/c"));
+  assert.ok(pathMatches("/**/secret.txt", "/x/y/secret.txt"));
+  assert.ok(!pathMatches("/**/secret.txt", "/x/y/secret.txt.bak"));
+});
+
+test("通配里的正则字符按字面处理", () => {
+  assert.ok(pathMatches("/v1.0/*.js", "/v1.0/app.js"));
+  assert.ok(!pathMatches("/v1.0/*.js", "/v1x0/app.js"));
+  assert.ok(!pathMatches("/v1.0/*.js", "/v1.0/appxjs"));
+});
+
+test("第一条命中的生效：宽泛规则写在前面会盖住后面更具体的", () => {
+  const broadFirst = rules([
+    { path: "/letters/**", action: "public" },
+    { path: "/letters/secret", action: "deny" },
+  ]);
+  assert.equal(actionFor(broadFirst, "/letters/secret"), "public");
+
+  const specificFirst = rules([
+    { path: "/letters/secret", action: "deny" },
+    { path: "/letters/**", action: "public" },
+  ]);
+  assert.equal(actionFor(specificFirst, "/letters/secret"), "deny");
+  assert.equal(actionFor(specificFirst, "/letters/hello"), "public");
+});
+
+test("deny 写在 public 前面：被拦的路径拦住，其他路径照常放行", () => {
+  const list = rules([
+    { path: "/.git/**", action: "deny", status: 404 },
+    { path: "/**", action: "public" },
+  ]);
+  const denied = findAccessRule(list, "/.git/config", "GET");
+  assert.equal(denied.action, "deny");
+  assert.equal(denied.status, 404);
+  assert.equal(actionFor(list, "/index.html"), "public");
+});
+
+test("methods 只对列出的方法生效（不区分大小写），其他方法往下找", () => {
+  const list = rules([
+    { path: "/og/*", methods: ["get", "HEAD"], action: "public" },
+    { path: "/og/*", action: "deny" },
+  ]);
+  assert.equal(actionFor(list, "/og/card.png", "GET"), "public");
+  assert.equal(actionFor(list, "/og/card.png", "HEAD"), "public");
+  assert.equal(actionFor(list, "/og/card.png", "POST"), "deny");
+});
+
+test("都不命中返回 null（照旧需要解锁）", () => {
+  const list = rules([{ path: "/favicon.ico", action: "public" }]);
+  assert.equal(findAccessRule(list, "/", "GET"), null);
+  assert.equal(findAccessRule([], "/favicon.ico", "GET"), null);
+});
+
+test("写错的规则返回 null，默认 status 403", () => {
+  assert.equal(normalizeAccessRule({ path: "favicon.ico", action: "public" }), null);
+  assert.equal(normalizeAccessRule({ path: "/a", action: "allow" }), null);
+  assert.equal(normalizeAccessRule({ path: "/a", action: "deny", status: 500 }), null);
+  assert.equal(normalizeAccessRule({ path: "/a", action: "public", methods: "GET" }), null);
+  assert.equal(normalizeAccessRule({ path: "/a", action: "public", cache: "max-age=1\r\nx: y" }), null);
+  assert.deepEqual(normalizeAccessRule({ path: "/a", action: "deny" }), {
+    path: "/a", methods: null, action: "deny", status: 403, cache: null,
+  });
+});
+
+test("normalizePath：逐段解码、转小写、合并连续的 /", () => {
+  assert.equal(normalizePath("/%70rivate/a.html"), "/private/a.html");
+  assert.equal(normalizePath("/Private/A.HTML"), "/private/a.html");
+  assert.equal(normalizePath("/%E4%BF%A1%E4%BB%B6/"), "/信件/");
+  assert.equal(normalizePath("//private//a"), "/private/a");
+  assert.equal(normalizePath("/"), "/");
+});
+
+test("normalizePath：编码过的 / \\ . .. 和解码失败的返回 null", () => {
+  for (const p of ["/private%2Fa", "/private%2fa", "/a%5Cb", "/%2e%2e/private/a", "/a/%2E/b", "/a/%E4%BF"]) {
+    assert.equal(normalizePath(p), null, p);
+  }
+});
+
+test("编码或大小写不同的路径绕不过 auth / deny", () => {
+  const list = rules([
+    { path: "/private/**", action: "auth" },
+    { path: "/.git/**", action: "deny" },
+    { path: "/**", action: "public" },
+  ]);
+  for (const raw of ["/%70rivate/a.html", "/Private/a.html", "/PRIVATE/%61.html", "//private/a.html"]) {
+    assert.equal(actionFor(list, normalizePath(raw)), "auth", raw);
+  }
+  assert.equal(actionFor(list, normalizePath("/%2Egit/config")), "deny");
+  assert.equal(actionFor(list, normalizePath("/.GIT/config")), "deny");
+});
+
+test("规则里的大写和中文按规范化后的路径匹配", () => {
+  assert.ok(pathMatches("/Letters/**", normalizePath("/letters/a")));
+  assert.ok(pathMatches("/信件/*", normalizePath("/%E4%BF%A1%E4%BB%B6/a")));
+});
@@ -0,0 +1,117 @@
+/**
+ * 阿里云 OpenAPI 签名：ACS3-HMAC-SHA256（V3 签名，RPC 风格，参数放在 query 里）。
+ *
+ * worker.js 调阿里云（号码认证 Dypnsapi、短信 Dysmsapi）都用它；只依赖 WebCrypto，
+ * 别的 Worker、Node 18+ 脚本可以直接 import 使用。
+ *
+ * 用法：
+ *   const signed = await signAcs3Request({
+ *     accessKeyId, accessKeySecret, securityToken,    // securityToken：STS 临时凭证才需要
+ *     host: "dypnsapi.aliyuncs.com", action: "SendSmsVerifyCode", version: "2017-05-25",
+ *     query: { PhoneNumber: "138...", ... },
+ *   });
+ *   await fetch(signed.url, { method: signed.method, headers: signed.headers, body: signed.body });
+ *
+ * date / nonce 不传时取当前时间和随机 UUID；每次发请求（包括重试）都要重新签，nonce 不能重复使用。
+ *
+ * 阿里云文档「V3 版本请求体 & 签名机制」里的示例（aliyun-signer.test.mjs 里断言了它，改动后跑 node --test）：
+ *   signAcs3Request({
+ *     accessKeyId: "YourAccessKeyId", accessKeySecret: "YourAccessKeySecret",
+ *     host: "ecs.cn-shanghai.aliyuncs.com", action: "RunInstances", version: "2014-05-26",
+ *     query: { ImageId: "win2019_1809_x64_dtc_zh-cn_40G_alibase_20230811.vhd", RegionId: "cn-shanghai" },
+ *     date: "2023-10-26T10:22:32Z", nonce: "3156853299f313e23d1673dc12e1703d",
+ *   })
+ *   hashedCanonicalRequest = 7ea06492da5221eba5297e897ce16e55f964061054b7695beedaac1145b1e259
+ *   signature              = 06563a9e1b43f5dfe96b81484da74bceab24a1d853912eee15083a6f0f3283c0
+ */
+
+export const ACS3_ALGORITHM = "ACS3-HMAC-SHA256";
+
+// 返回 { method, url, headers, body, canonicalRequest, stringToSign, signature }
+export async function signAcs3Request({
+  accessKeyId,
+  accessKeySecret,
+  securityToken = "",
+  method = "POST",
+  host,
+  path = "/",
+  action,
+  version,
+  query = {},
+  body = "",
+  date = new Date(),
+  nonce = crypto.randomUUID(),
+}) {
+  const xAcsDate = typeof date === "string" ? date : date.toISOString().replace(/\.\d{3}Z$/, "Z");
+  const payloadHash = await sha256Hex(body);
+
+  const headersToSign = {
+    "host": host,
+    "x-acs-action": action,
+    "x-acs-content-sha256": payloadHash,
+    "x-acs-date": xAcsDate,
+    "x-acs-signature-nonce": nonce,
+    "x-acs-version": version,
+  };
+  // STS 临时凭证：token 也要参与签名
+  if (securityToken) headersToSign["x-acs-security-token"] = securityToken;
+
+  const canonicalQueryString = buildCanonicalQueryString(query);
+  const { canonicalHeaders, signedHeaders } = buildCanonicalHeaders(headersToSign);
+
+  const canonicalRequest = [
+    method,
+    path,
+    canonicalQueryString,
+    canonicalHeaders,
+    signedHeaders,
+    payloadHash,
+  ].join("\n");
+
+  const stringToSign = `${ACS3_ALGORITHM}\n${await sha256Hex(canonicalRequest)}`;
+  const signature = toHex(await hmacSha256(accessKeySecret, stringToSign));
+
+  const headers = new Headers();
+  for (const [k, v] of Object.entries(headersToSign)) {
+    if (k !== "host") headers.set(k, v);
+  }
+  headers.set("Authorization", `${ACS3_ALGORITHM} Credential=${accessKeyId},SignedHeaders=${signedHeaders},Signature=${signature}`);
+
+  const url = `https://${host}${path}${canonicalQueryString ? `?${canonicalQueryString}` : ""}`;
+  return { method, url, headers, body: body || undefined, canonicalRequest, stringToSign, signature };
+}
+
+// 参数名按字典序排列，名和值都按 RFC 3986 编码
+export function buildCanonicalQueryString(params) {
+  const keys = Object.keys(params).sort();
+  return keys.map(k => `${percentEncode(k)}=${percentEncode(String(params[k] ?? ""))}`).join("&");
+}
+
+// encodeURIComponent 不编码 !'()*，阿里云要求编码
+export function percentEncode(str) {
+  return encodeURIComponent(str)
+    .replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+export function buildCanonicalHeaders(headers) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const keys = Object.keys(lower).sort();
+  const canonicalHeaders = keys.map(k => `${k}:${String(lower[k]).trim()}\n`).join("");
+  const signedHeaders = keys.join(";");
+  return { canonicalHeaders, signedHeaders };
+}
+
+async function sha256Hex(data) {
+  const bytes = typeof data === "string" ? new TextEncoder().encode(data) : data;
+  return toHex(await crypto.subtle.digest("SHA-256", bytes));
+}
+
+async function hmacSha256(secret, msg) {
+  const enc = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return crypto.subtle.sign("HMAC", key, enc.encode(msg));
+}
+
+function toHex(buf) {
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
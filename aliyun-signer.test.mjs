@@ -0,0 +1,51 @@
+// node --test：阿里云文档「V3 版本请求体 & 签名机制」里的示例（和 aliyun-signer.js 开头的注释一致）
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { signAcs3Request, percentEncode, buildCanonicalQueryString } from "./aliyun-signer.js";
+
+const DOC_EXAMPLE = {
+  accessKeyId: "YourAccessKeyId",
+  accessKeySecret: "YourAccessKeySecret",
+  host: "ecs.cn-shanghai.aliyuncs.com",
+  action: "RunInstances",
+  version: "2014-05-26",
+  query: { ImageId: "win2019_1809_x64_dtc_zh-cn_40G_alibase_20230811.vhd", RegionId: "cn-shanghai" },
+  date: "2023-10-26T10:22:32Z",
+  nonce: "3156853299f313e23d1673dc12e1703d",
+};
+
+test("文档示例：hashedCanonicalRequest 和 signature", async () => {
+  const signed = await signAcs3Request(DOC_EXAMPLE);
+  assert.equal(signed.stringToSign, "ACS3-HMAC-SHA256\n7ea06492da5221eba5297e897ce16e55f964061054b7695beedaac1145b1e259");
+  assert.equal(signed.signature, "06563a9e1b43f5dfe96b81484da74bceab24a1d853912eee15083a6f0f3283c0");
+  assert.equal(
+    signed.headers.get("authorization"),
+    "ACS3-HMAC-SHA256 Credential=YourAccessKeyId,SignedHeaders=host;x-acs-action;x-acs-content-sha256;x-acs-date;x-acs-signature-nonce;x-acs-version,Signature=06563a9e1b43f5dfe96b81484da74bceab24a1d853912eee15083a6f0f3283c0"
+  );
+  assert.equal(signed.url, "https://ecs.cn-shanghai.aliyuncs.com/?ImageId=win2019_1809_x64_dtc_zh-cn_40G_alibase_20230811.vhd&RegionId=cn-shanghai");
+});
+
+test("percentEncode 按 RFC 3986 编码 !'()*，空格是 %20", () => {
+  assert.equal(percentEncode("!'()*"), "%21%27%28%29%2A");
+  assert.equal(percentEncode("a b~-_."), "a%20b~-_.");
+  assert.equal(percentEncode("验证码"), "%E9%AA%8C%E8%AF%81%E7%A0%81");
+});
+
+test("query 按参数名排序", () => {
+  assert.equal(buildCanonicalQueryString({ b: "2", a: "1 1", c: "" }), "a=1%201&b=2&c=");
+});
+
+test("STS：x-acs-security-token 参与签名", async () => {
+  const plain = await signAcs3Request(DOC_EXAMPLE);
+  const sts = await signAcs3Request({ ...DOC_EXAMPLE, securityToken: "token" });
+  assert.equal(sts.headers.get("x-acs-security-token"), "token");
+  assert.match(sts.headers.get("authorization"), /SignedHeaders=[^,]*;x-acs-security-token;/);
+  assert.notEqual(sts.signature, plain.signature);
+});
+
+test("不传 nonce 时每次都不一样", async () => {
+  const { date, nonce, ...rest } = DOC_EXAMPLE;
+  const a = await signAcs3Request(rest);
+  const b = await signAcs3Request(rest);
+  assert.notEqual(a.headers.get("x-acs-signature-nonce"), b.headers.get("x-acs-signature-nonce"));
+});
@@ -0,0 +1,133 @@
+/**
+ * 密语的规范化和哈希：worker.js 的「密语校验」一节用它比对，scripts/hash-passphrase.mjs 用它生成哈希。
+ *
+ * 两边共用这一份，生成和校验不会走样；只依赖 WebCrypto，不碰 env、KV 和网络，
+ * 所以可以直接用 node --test 测（见 passphrase.test.mjs）。
+ *
+ * 每个可接受的答案可以是：
+ *   pbkdf2-sha256$<迭代次数>$<规范化步骤>$<salt>$<hash>   PBKDF2-HMAC-SHA256，推荐
+ *   sha256$<规范化步骤>$<salt>$<hash>                     SHA-256(salt || 答案)，答案很多时更省 CPU
+ *   其他任意字符串                                        明文（兼容旧配置）
+ * salt / hash 都是 base64url。哈希条目自带生成时用的规范化步骤（用 + 连接，none 表示不处理），
+ * 改 PASSPHRASE_NORMALIZE 不会让已有哈希失效；明文条目按 PASSPHRASE_NORMALIZE 处理。
+ *
+ * 规范化步骤固定按这个顺序执行（配置里只决定开不开）：
+ *   nfkc（全角 -> 半角等）-> casefold（大小写）-> strip_punct（去标点）-> collapse_ws（连续空白合一）-> trim
+ */
+
+export const PASSPHRASE_STEPS = ["nfkc", "casefold", "strip_punct", "collapse_ws", "trim"];
+export const DEFAULT_PASSPHRASE_NORMALIZE = "nfkc,casefold,collapse_ws,trim";
+// Workers 的 PBKDF2 最多支持 100000 次迭代
+export const PBKDF2_MAX_ITERATIONS = 100000;
+// 生成哈希时的默认迭代次数。每次提交密语都要把所有身份的所有条目算一遍（见 worker.js 的 findIdentityByPhrase），
+// CPU 时间 ≈ 条目数 × 迭代次数，所以默认不取上限
+export const PBKDF2_DEFAULT_ITERATIONS = 20000;
+
+export function passphraseSteps(spec) {
+  const wanted = new Set(String(spec || "").split(/[\s,+]+/).filter(Boolean));
+  return PASSPHRASE_STEPS.filter(step => wanted.has(step));
+}
+
+export function normalizePassphrase(str, steps) {
+  let s = String(str);
+  for (const step of steps) {
+    if (step === "nfkc") s = s.normalize("NFKC");
+    else if (step === "casefold") s = s.toLowerCase();
+    else if (step === "strip_punct") s = s.replace(/\p{P}/gu, "");
+    else if (step === "collapse_ws") s = s.replace(/\s+/gu, " ");
+    else if (step === "trim") s = s.trim();
+  }
+  return s;
+}
+
+// algo：pbkdf2（默认）| sha256；steps 是 passphraseSteps 的结果。规范化后为空的直接报错
+export async function hashPassphrase(phrase, { algo = "pbkdf2", iterations = PBKDF2_DEFAULT_ITERATIONS, steps }) {
+  const enc = new TextEncoder();
+  const normalized = normalizePassphrase(phrase, steps);
+  if (!normalized) throw new Error(`规范化后为空：${JSON.stringify(phrase)}`);
+  if (algo !== "sha256" && (!Number.isInteger(iterations) || iterations < 1 || iterations > PBKDF2_MAX_ITERATIONS)) {
+    throw new Error(`迭代次数需要是 1 ~ ${PBKDF2_MAX_ITERATIONS} 的整数（Workers 的上限）`);
+  }
+  const stepSpec = steps.length ? steps.join("+") : "none";
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+
+  if (algo === "sha256") {
+    const hash = await crypto.subtle.digest("SHA-256", concatBytes(salt, enc.encode(normalized)));
+    return `sha256$${stepSpec}$${base64UrlEncode(salt)}$${base64UrlEncode(hash)}`;
+  }
+
+  const key = await crypto.subtle.importKey("raw", enc.encode(normalized), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, 256);
+  return `pbkdf2-sha256$${iterations}$${stepSpec}$${base64UrlEncode(salt)}$${base64UrlEncode(bits)}`;
+}
+
+// entry 是上面三种格式之一；defaultSteps 只用于明文条目
+export async function passphraseMatches(phrase, entry, defaultSteps) {
+  const parts = entry.split("$");
+  const enc = new TextEncoder();
+  try {
+    if (parts[0] === "pbkdf2-sha256" && parts.length === 5) {
+      const [, iterStr, stepSpec, salt, hash] = parts;
+      const iterations = Number(iterStr);
+      if (!Number.isInteger(iterations) || iterations < 1 || iterations > PBKDF2_MAX_ITERATIONS) {
+        console.error(`[gate] 密语哈希的迭代次数不合法：${iterStr}`);
+        return false;
+      }
+      const expected = base64UrlDecode(hash);
+      if (expected.length < 16) return false;
+      const key = await crypto.subtle.importKey("raw", enc.encode(normalizePassphrase(phrase, passphraseSteps(stepSpec))), "PBKDF2", false, ["deriveBits"]);
+      const bits = await crypto.subtle.deriveBits(
+        { name: "PBKDF2", hash: "SHA-256", salt: base64UrlDecode(salt), iterations },
+        key,
+        expected.length * 8
+      );
+      return timingSafeEqual(toHex(bits), toHex(expected));
+    }
+    if (parts[0] === "sha256" && parts.length === 4) {
+      const [, stepSpec, salt, hash] = parts;
+      const body = enc.encode(normalizePassphrase(phrase, passphraseSteps(stepSpec)));
+      const digest = await crypto.subtle.digest("SHA-256", concatBytes(base64UrlDecode(salt), body));
+      return timingSafeEqual(toHex(digest), toHex(base64UrlDecode(hash)));
+    }
+  } catch {
+    console.error("[gate] 密语哈希格式不对");
+    return false;
+  }
+  // 明文：两边规范化后比摘要，比较耗时和长度无关；规范化后为空的不算数
+  const normalized = normalizePassphrase(phrase, defaultSteps);
+  const a = toHex(await crypto.subtle.digest("SHA-256", enc.encode(normalized)));
+  const b = toHex(await crypto.subtle.digest("SHA-256", enc.encode(normalizePassphrase(entry, defaultSteps))));
+  return timingSafeEqual(a, b) && normalized.length > 0;
+}
+
+function concatBytes(a, b) {
+  const buf = new Uint8Array(a.length + b.length);
+  buf.set(a, 0);
+  buf.set(b, a.length);
+  return buf;
+}
+
+function base64UrlEncode(buf) {
+  let bin = "";
+  for (const b of new Uint8Array(buf)) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((str.length + 3) % 4);
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function toHex(buf) {
+  return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let out = 0;
+  for (let i = 0; i < a.length; i++) out |= (a.charCodeAt(i) ^ b.charCodeAt(i));
+  return out === 0;
+}
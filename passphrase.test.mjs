@@ -0,0 +1,62 @@
+// node --test：scripts/hash-passphrase.mjs 生成的哈希要能被 worker.js 用的 passphraseMatches 认出来
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import { fileURLToPath } from "node:url";
+import {
+  DEFAULT_PASSPHRASE_NORMALIZE,
+  PBKDF2_DEFAULT_ITERATIONS,
+  passphraseSteps,
+  normalizePassphrase,
+  passphraseMatches,
+} from "./passphrase.js";
+
+const SCRIPT = fileURLToPath(new URL("./scripts/hash-passphrase.mjs", import.meta.url));
+const defaultSteps = passphraseSteps(DEFAULT_PASSPHRASE_NORMALIZE);
+
+// 跑一次脚本，返回最后一行的 JSON 数组
+async function hashWithScript(...args) {
+  const { stdout } = await promisify(execFile)(process.execPath, [SCRIPT, ...args]);
+  return JSON.parse(stdout.trim().split("\n").at(-1));
+}
+
+test("脚本默认（pbkdf2）生成的哈希：原文和规范化后相同的写法都能通过", async () => {
+  const [entry] = await hashWithScript("我是 XX");
+  assert.match(entry, new RegExp(`^pbkdf2-sha256\\$${PBKDF2_DEFAULT_ITERATIONS}\\$nfkc\\+casefold\\+collapse_ws\\+trim\\$`));
+  assert.ok(await passphraseMatches("我是 XX", entry, defaultSteps));
+  assert.ok(await passphraseMatches("  我是   ｘｘ ", entry, defaultSteps));
+  assert.ok(!(await passphraseMatches("我是 YY", entry, defaultSteps)));
+});
+
+test("--sha256 和 --normalize：条目自带规范化步骤，不受 PASSPHRASE_NORMALIZE 影响", async () => {
+  const [entry] = await hashWithScript("--sha256", "--normalize", "nfkc,casefold,strip_punct,collapse_ws,trim", "我是 xx！");
+  assert.match(entry, /^sha256\$nfkc\+casefold\+strip_punct\+collapse_ws\+trim\$/);
+  assert.ok(await passphraseMatches("我是 XX", entry, passphraseSteps("none")));
+  assert.ok(!(await passphraseMatches("我是 xy", entry, defaultSteps)));
+});
+
+test("--iterations：迭代次数写进条目，超过上限的脚本直接报错", async () => {
+  const [entry] = await hashWithScript("--iterations", "1000", "xx");
+  assert.match(entry, /^pbkdf2-sha256\$1000\$/);
+  assert.ok(await passphraseMatches("XX", entry, defaultSteps));
+  await assert.rejects(hashWithScript("--iterations", "100001", "xx"));
+});
+
+test("明文条目按 PASSPHRASE_NORMALIZE 处理，规范化后为空的不算数", async () => {
+  assert.ok(await passphraseMatches("ＸＸ ", "xx", defaultSteps));
+  assert.ok(!(await passphraseMatches("XX", "xx", passphraseSteps("none"))));
+  assert.ok(!(await passphraseMatches("  ", "   ", defaultSteps)));
+});
+
+test("格式不对的哈希条目不通过", async () => {
+  assert.ok(!(await passphraseMatches("xx", "pbkdf2-sha256$0$none$AAAA$AAAA", defaultSteps)));
+  assert.ok(!(await passphraseMatches("xx", "pbkdf2-sha256$1000$none$AAAA$AAAA", defaultSteps)));
+  assert.ok(!(await passphraseMatches("xx", "sha256$none$!!$!!", defaultSteps)));
+});
+
+test("规范化步骤固定顺序执行，配置里的顺序不影响", () => {
+  assert.deepEqual(passphraseSteps("trim,nfkc"), ["nfkc", "trim"]);
+  assert.deepEqual(passphraseSteps("none"), []);
+  assert.equal(normalizePassphrase(" Ａ，  b ", passphraseSteps("nfkc,casefold,strip_punct,collapse_ws,trim")), "a b");
+});
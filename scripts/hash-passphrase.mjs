@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * 生成密语哈希，填到 PASSPHRASE / PASSPHRASE_HASHES / IDENTITIES 的 passphrases 里。
+ *
+ * 用法：
+ *   node scripts/hash-passphrase.mjs "我是xx" "xx"
+ *   node scripts/hash-passphrase.mjs --sha256 "我是xx"             # 答案很多时用，省 CPU
+ *   node scripts/hash-passphrase.mjs --iterations 100000 "我是xx"  # 默认 20000，上限 100000（Workers 的上限）
+ *   node scripts/hash-passphrase.mjs --normalize nfkc,casefold,strip_punct,collapse_ws,trim "我是 xx！"
+ *   node scripts/hash-passphrase.mjs < answers.txt                 # 不带参数时从 stdin 按行读，不留在 shell 历史里
+ *
+ * 每行输出一条哈希，最后一行是 JSON 数组，可以直接贴进 IDENTITIES。
+ * 规范化和哈希格式在 ../passphrase.js，worker.js 校验时用的是同一份（Node 18+，只用 WebCrypto）。
+ */
+
+import {
+  PASSPHRASE_STEPS,
+  DEFAULT_PASSPHRASE_NORMALIZE,
+  PBKDF2_MAX_ITERATIONS,
+  PBKDF2_DEFAULT_ITERATIONS,
+  passphraseSteps,
+  hashPassphrase,
+} from "../passphrase.js";
+
+function parseArgs(argv) {
+  const opts = { algo: "pbkdf2", iterations: PBKDF2_DEFAULT_ITERATIONS, normalize: DEFAULT_PASSPHRASE_NORMALIZE, phrases: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--sha256") opts.algo = "sha256";
+    else if (a === "--iterations") opts.iterations = Number(argv[++i]);
+    else if (a === "--normalize") opts.normalize = argv[++i] ?? "";
+    else if (a === "-h" || a === "--help") opts.help = true;
+    else if (a === "--") opts.phrases.push(...argv.slice(i + 1)), i = argv.length;
+    else opts.phrases.push(a);
+  }
+  return opts;
+}
+
+async function readStdinLines() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8").split(/\r?\n/).filter(line => line.length > 0);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help) {
+    console.log("用法：node scripts/hash-passphrase.mjs [--sha256] [--iterations N] [--normalize 步骤,...] [密语 ...]");
+    console.log(`规范化步骤：${PASSPHRASE_STEPS.join(", ")}（默认 ${DEFAULT_PASSPHRASE_NORMALIZE}，none 表示不处理）`);
+    return;
+  }
+  if (!Number.isInteger(opts.iterations) || opts.iterations < 1 || opts.iterations > PBKDF2_MAX_ITERATIONS) {
+    throw new Error(`--iterations 需要是 1 ~ ${PBKDF2_MAX_ITERATIONS} 的整数（Workers 的上限）`);
+  }
+
+  const phrases = opts.phrases.length ? opts.phrases : await readStdinLines();
+  if (!phrases.length) throw new Error("没有要处理的密语");
+
+  const steps = passphraseSteps(opts.normalize);
+  const hashes = [];
+  for (const p of phrases) hashes.push(await hashPassphrase(p, { ...opts, steps }));
+  for (const h of hashes) console.log(h);
+  console.log(JSON.stringify(hashes));
+}
+
+main().catch(err => {
+  console.error(err.message || err);
+  process.exit(1);
+});
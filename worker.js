@@ -17,8 +17,10 @@
  *    - 绑定名：OTP_KV
  *
  * 2) Secrets / Variables（不要写死在代码里）
- *    - PASSPHRASE                 你的密语（中英文都可以）
+ *    - PASSPHRASE                 你的密语（中英文都可以；建议填 scripts/hash-passphrase.mjs 生成的哈希；多人时改用 IDENTITIES，见下）
  *    - COOKIE_SECRET              随机长字符串（>=32位），用于签名 Cookie
+ *    - COOKIE_SECRETS             （可选）轮换用的钥匙串 "k2:新密钥,k1:旧密钥"，最前面的用来签发，见「Cookie 密钥轮换」
+ *    - AUTH_LEGACY_UNTIL          （可选）旧格式 cf_auth 认到哪天（如 2026-12-31），不填则一直认
  *    - COOKIE_DOMAIN              20070224.xyz （让根域名和子域名共享 Cookie）
  *
  *    - TARGET_PHONE               接收验证码的手机号（xx 的手机号）
@@ -27,29 +29,119 @@
  *
  *    - ALIYUN_SIGN_NAME           赠送签名（在号码认证服务控制台里选的那条）
  *    - ALIYUN_TEMPLATE_CODE       赠送模板 CODE（在控制台里选的那条）
+ *    - ALIYUN_SECURITY_TOKEN      （可选）用 STS 临时凭证时填，和临时 AccessKey 一起轮换
+ *    - ALIYUN_TIMEOUT_MS          （可选）单次请求超时，默认 5000
+ *    - ALIYUN_MAX_RETRIES         （可选）限流时最多重试几次，默认 2（上限 5）；网络错误 / 超时 / 5xx 只有发短信会重试
+ *    - ALIYUN_REGION              （可选）地域，如 ap-southeast-1，接入点变成 <产品>.<地域>.aliyuncs.com
+ *    - ALIYUN_ENDPOINT / ALIYUN_SMS_ENDPOINT  （可选）直接指定 Dypnsapi / Dysmsapi 的接入点域名
  *
  * 3) 可选参数（不填有默认值）
  *    - COUNTRY_CODE               默认 86（阿里云短信认证当前也仅支持国内号码）
  *    - VALID_TIME_SECONDS         默认 300（5分钟）
  *    - CODE_LENGTH                默认 6
  *    - CODE_TYPE                  默认 1（纯数字）
- *    - INTERVAL_SECONDS           默认 60（频控）
- *    - AUTH_TTL_DAYS              默认 30（验证成功后免登录天数）
+ *    - INTERVAL_SECONDS           默认 60（频控；/api/resend 至少间隔它和 SMS_COOLDOWN_SECONDS 中较长的）
+ *    - AUTH_TTL_DAYS              默认 7（验证成功后最长免登录天数，到期必须重新验证，和是否活跃无关）
+ *    - SESSION_IDLE_HOURS         默认 12（多久没访问就要重新验证，0 表示不限；访问时自动续期）
+ *    - SESSION_REFRESH_MINUTES    默认 10（距上次续期超过这么久才换发 cf_auth，避免每个请求都写 cookie）
+ *    - REMEMBER_DEVICE_DAYS       默认 30（验证页勾选「记住这台设备」时的免登录天数，不受空闲超时限制；0 关闭）
  *    - SID_TTL_SECONDS            默认 900（密语通过到验证码校验的窗口期，秒）
+ *    - PASSPHRASE_HASHES          额外可接受的答案（哈希），逗号或换行分隔
+ *    - PASSPHRASE_NORMALIZE       明文答案的规范化步骤，默认 nfkc,casefold,collapse_ws,trim（可加 strip_punct）
+ *    - BRANDING                   页面模板 / 配色 / 文案（JSON，也可以放 KV 的 config:branding），见「页面模板 / 品牌」
+ *
+ * 4) 多人 / 多密语（可选）
+ *    - IDENTITIES                 JSON 数组（也可以放 KV 的 config:identities），
+ *                                 [{name, passphrases[], phone, countryCode, authTtlDays}]；配置后取代 PASSPHRASE / TARGET_PHONE
+ *
+ * 5) 管理后台（可选）
+ *    - ADMIN_TOKEN                /__admin 的登录凭证（和密语分开），不配置则后台不存在；邀请链接也在后台生成
+ *    - AUDIT_RETENTION_DAYS       审计事件保留天数，默认 7
+ *    - AUDIT_WEBHOOK_URL          事件实时通知地址（配合 AUDIT_WEBHOOK_SECRET / AUDIT_WEBHOOK_EVENTS）
+ *
+ * 6) 通行密钥（默认开启）
+ *    - PASSKEY_ENABLED            填 0 关闭
+ *    - PASSKEY_RP_ID              默认取 COOKIE_DOMAIN（根域名和子域名共用）
+ *    - PASSKEY_RP_NAME            系统弹窗里显示的名字，默认同 RP ID
+ *
+ * 7) 身份验证器 App（TOTP，默认关闭）
+ *    - TOTP_ENABLED               填 1 开启；已验证的会话在 /__totp 扫码绑定
+ *    - TOTP_ISSUER                App 里显示的名字，默认取当前域名
+ *
+ * 8) 验证码 Provider（可选，默认 aliyun）
+ *    - OTP_PROVIDER               aliyun | webhook | self
+ *      - webhook：OTP_WEBHOOK_URL + OTP_WEBHOOK_SECRET（发送/核验都转给你的服务）
+ *      - self：Worker 自己生成验证码（KV 只存加盐哈希），投递方式由 OTP_SENDER 决定：
+ *        - webhook（默认）：OTP_SENDER_URL + OTP_SENDER_SECRET
+ *        - aliyun_sms：阿里云普通短信 SendSms，ALIYUN_SMS_SIGN_NAME + ALIYUN_SMS_TEMPLATE_CODE
+ *      - sandbox：本地 wrangler dev 用，不发真短信；SANDBOX_FIXED_CODE / SANDBOX_SIMULATE；
+ *        只在 localhost / 127.0.0.1 和 SANDBOX_ALLOWED_HOSTS（逗号分隔）列出的域名上工作
+ *
+ * 9) 限流（可选）
+ *    - RATE_LIMITER               Durable Object 绑定（类名 RateLimiter，见 wrangler.toml），计数原子；不绑定则用 KV 计数
+ *    - SMS_COOLDOWN_SECONDS       默认 60（同一 IP / 同一手机号两次发送的间隔）
+ *    - SMS_PHONE_HOURLY_MAX       默认 5（同一手机号每小时最多几条）
+ *    - SMS_DAILY_CAP              默认 50（全站近 24 小时最多几条，0 不限）
+ *    - SMS_MONTHLY_CAP            默认 500（全站近 30 天最多几条，0 不限）
+ *
+ *    - TURNSTILE_SITE_KEY / TURNSTILE_SECRET_KEY  发短信前的人机验证（Cloudflare Turnstile），两个都配才开启
+ *    - TURNSTILE_MODE             always（默认，每次都要）| suspicious（试错多 / 新国家 / 机房 IP 时才要）
+ *    - TURNSTILE_AFTER_ATTEMPTS   suspicious 模式下，同一 IP 10 分钟内试密语超过几次算可疑，默认 3
+ *    - TURNSTILE_DATACENTER_ASNS  算作机房的 ASN，逗号分隔，默认常见云厂商
+ *    - TURNSTILE_VERIFY_URL       校验地址，默认 Cloudflare siteverify，本地可换成 mock
+ *
+ * 10) 仅访问模式（可选）
+ *    - PUBLIC_PREVIEW             skeleton（默认，内置骨架页）| rewrite（取真实页面用 HTMLRewriter 脱敏）
+ *    - PUBLIC_PRIVATE_SELECTORS   rewrite 时额外要隐藏的 CSS 选择器，逗号分隔（data-private 的元素总会隐藏）
+ *    - PUBLIC_BLOCKED_PATHS       rewrite 时直接拒绝的路径，逗号分隔：/photos/ 前缀、/a/*.jpg、/private/** 通配
+ *    - PUBLIC_KEEP_SCRIPTS        填 1 保留页面脚本（默认全部去掉）
+ *
+ * 11) 路径策略（可选）
+ *    - ACCESS_POLICY              JSON 数组（也可以放 KV 的 config:access_policy），按路径 / 方法决定
+ *                                 public / auth / redacted / deny，可带 cache；见「路径策略」
+ *
+ * 12) 源站代理（可选）
+ *    - ORIGIN_URL                 解锁后转发到这个地址（可带路径前缀），去掉 gate 的 cookie；不填则交给同域名的 Pages
+ *    - ORIGIN_SECRET              配置后给源站带上签名的 x-gate-user / x-gate-session，见「源站代理」
+ *
+ * 13) 多站点（可选）
+ *    - SITES                      JSON 对象（也可以放 KV 的 config:sites），以域名为键，每个站点单独的密语 / 手机号 /
+ *                                 阿里云签名模板 / COOKIE_DOMAIN / 免登录天数 / 页面模板 / 源站；见「多站点」
+ *
+ * 14) 定时开放（可选）
+ *    - SCHEDULE                   JSON（也可以放 KV 的 config:schedule）：timezone / notBefore / notAfter / during / after / paths，
+ *                                 开放前所有人只看到倒计时页；见「定时开放」
  *
  * 部署提示：
+ * - 本文件 import 了同目录的 aliyun-signer.js（阿里云签名）、access-policy.js（路径策略）和 passphrase.js（密语校验），
+ *   用 wrangler deploy 或在 Dashboard 里几个文件一起上传。
+ * - 部署后打开 /__health 自检（带 Authorization: Bearer <ADMIN_TOKEN> 看明细）；缺 COOKIE_SECRET 或没绑定 OTP_KV 时网关只回 503。
  * - 先确保 Pages 自定义域名已绑定成功（证书已生效），再加 Worker Routes，避免影响 .well-known/acme-challenge。
  */
 
+import { signAcs3Request } from "./aliyun-signer.js";
+import { pathMatches, normalizePath, normalizeAccessRule, findAccessRule } from "./access-policy.js";
+import { DEFAULT_PASSPHRASE_NORMALIZE, passphraseSteps, passphraseMatches } from "./passphrase.js";
+
 const DEFAULTS = {
   COUNTRY_CODE: "86",
   VALID_TIME_SECONDS: 300,
   CODE_LENGTH: 6,
   CODE_TYPE: 1,
   INTERVAL_SECONDS: 60,
-  AUTH_TTL_DAYS: 1,
+  AUTH_TTL_DAYS: 7,
+  SESSION_IDLE_HOURS: 12,
+  SESSION_REFRESH_MINUTES: 10,
+  REMEMBER_DEVICE_DAYS: 30,
+  TURNSTILE_AFTER_ATTEMPTS: 3,
   SID_TTL_SECONDS: 900,
   SMS_COOLDOWN_SECONDS: 60,
+  SMS_PHONE_HOURLY_MAX: 5,
+  SMS_DAILY_CAP: 50,
+  SMS_MONTHLY_CAP: 500,
+  AUDIT_RETENTION_DAYS: 7,
+  ALIYUN_TIMEOUT_MS: 5000,
+  ALIYUN_MAX_RETRIES: 2,
 };
 
 export default {
@@ -62,47 +154,857 @@ export default {
       return fetch(request);
     }
 
+    // 缺 COOKIE_SECRET / OTP_KV 时除了自检，所有路径都只回 503（fail closed）
+    const missingConfig = criticalConfigError(env);
+    if (missingConfig) {
+      if (path === "/__health" && request.method === "GET") return handleHealth(request, env);
+      return configUnavailable(request, path, missingConfig);
+    }
+
+    // 多站点（SITES）：换成这个域名的配置；不在表里的域名直接报错
+    const site = await resolveSite(env, url.hostname);
+    if (site === null) return unknownSite(request, url);
+    if (site) env = siteEnv(env, site);
+
+    // 配置自检（详情要 ADMIN_TOKEN）
+    if (path === "/__health" && request.method === "GET") return handleHealth(request, env);
+
     // 内部页面/模式
-    if (path === "/__public" && request.method === "GET") return enterPublicMode(env);
-    if (path === "/__gate" && request.method === "GET") return gatePage(env, { clearPublic: true });
-    if (path === "/__logout" && request.method === "GET") return logout(env);
+    if (path === "/__public" && request.method === "GET") return enterPublicMode(request, env, ctx);
+    if (path === "/__gate" && request.method === "GET") return gatePage(request, env, { clearPublic: true });
+    if (path === "/__logout" && request.method === "GET") return logout(request, env, ctx);
+    if (path === "/__totp" && request.method === "GET") return totpEnrollPage(request, env);
+    if (path.startsWith("/__invite/")) return handleInvite(request, env, ctx);
+
+    // 管理后台（独立凭证 ADMIN_TOKEN）
+    if (path === "/__admin" || path.startsWith("/__admin/")) return handleAdmin(request, env);
 
     // API
-    if (path === "/api/start" && request.method === "POST") return apiStart(request, env);
-    if (path === "/api/verify" && request.method === "POST") return apiVerify(request, env);
+    if (path === "/api/start" && request.method === "POST") return apiStart(request, env, ctx);
+    if (path === "/api/resend" && request.method === "POST") return apiResend(request, env, ctx);
+    if (path === "/api/verify" && request.method === "POST") return apiVerify(request, env, ctx);
+    if (path === "/api/sessions" && request.method === "GET") return apiListSessions(request, env);
+    if (path === "/api/sessions/revoke" && request.method === "POST") return apiRevokeSession(request, env);
+    if (path === "/api/sessions/revoke-all" && request.method === "POST") return apiRevokeAllSessions(request, env);
+    if (path === "/api/passkey/register/options" && request.method === "POST") return apiPasskeyRegisterOptions(request, env);
+    if (path === "/api/passkey/register/verify" && request.method === "POST") return apiPasskeyRegisterVerify(request, env, ctx);
+    if (path === "/api/passkey/login/options" && request.method === "POST") return apiPasskeyLoginOptions(request, env);
+    if (path === "/api/passkey/login/verify" && request.method === "POST") return apiPasskeyLoginVerify(request, env, ctx);
+    if (path === "/api/passkeys" && request.method === "GET") return apiListPasskeys(request, env);
+    if (path === "/api/passkeys/delete" && request.method === "POST") return apiDeletePasskey(request, env);
+    if (path === "/api/totp/enroll" && request.method === "POST") return apiTotpEnroll(request, env, ctx);
+
+    // 下面的路径规则都按规范化后的路径匹配（解码、不区分大小写），编码过的 / \ . .. 直接回 400
+    const policyPath = normalizePath(path);
+    if (policyPath === null) return badPath();
+
+    // 路径策略（ACCESS_POLICY）：公开资源直接放行，拦截的路径直接拒绝，都不看 cookie
+    const rule = await matchAccessRule(env, policyPath, request.method);
+    if (rule?.action === "deny") return accessDenied(rule);
+    if (rule?.action === "public") return withRuleCache(await originFetch(request, env), rule);
+
+    // 定时开放（SCHEDULE）：开放前只给倒计时页（已解锁也一样）；窗口内 / 窗口后按配置照常验证或完全公开
+    const schedule = await scheduleState(env, policyPath, request.method);
+    if (schedule?.state === "before") return countdownPage(request, env, schedule);
+    if (schedule?.mode === "public") return withRuleCache(await originFetch(request, env), rule);
 
     // 已解锁 -> 放行到 Pages（完整版）
     const cookies = parseCookies(request.headers.get("Cookie") || "");
     const auth = cookies["cf_auth"];
-    if (auth && await verifyAuthCookie(auth, env)) {
-      return fetch(request);
+    const session = auth && await verifyAuthCookie(auth, env, cookies["cf_device"]);
+    if (session && sessionAllows(session, policyPath)) {
+      if (session.record) ctx.waitUntil(touchSession(env, session.record));
+      return withAuthReissue(withPrivateCache(await originFetch(request, env, session)), env, session);
     }
 
-    // 仅访问模式 -> 永远返回脱敏骨架页（不代理到 Pages）
-    if (cookies["cf_mode"] === "public") {
-      return publicSkeletonPage(url);
+    // 仅访问模式 -> 脱敏骨架页（不代理到 Pages）；PUBLIC_PREVIEW=rewrite 时改为真实页面的脱敏预览
+    // 策略为 redacted 的路径不需要先进仅访问模式；策略为 auth 的路径仅访问模式也看不到
+    if (rule?.action === "redacted" || (cookies["cf_mode"] === "public" && rule?.action !== "auth")) {
+      if (publicPreviewEnabled(env)) return publicPreview(request, env);
+      return publicSkeletonPage(request, url, env);
     }
 
     // 默认 -> 验证入口
-    return gatePage(env);
+    return gatePage(request, env);
   },
 };
 
-// ----------------------- 页面：验证入口 -----------------------
+// ----------------------- 路径策略（按路径放行 / 拦截） -----------------------
+//
+// ACCESS_POLICY（env，JSON）或 KV 里的 config:access_policy，按顺序取第一条匹配的规则，在 cookie 判断之前生效：
+// [
+//   { "path": "/favicon.ico", "action": "public", "cache": "public, max-age=86400" },
+//   { "path": "/og/*", "methods": ["GET", "HEAD"], "action": "public" },
+//   { "path": "/blog/**", "action": "redacted" },
+//   { "path": "/.git/**", "action": "deny", "status": 404 }
+// ]
+// path 的写法同 pathMatches（精确、/a/ 前缀、* 和 ** 通配）；methods 省略表示所有方法。
+// 匹配用的是 normalizePath 之后的路径：%xx 先解码、不区分大小写（/%70rivate/、/Private/ 都算 /private/），中文路径直接写中文。
+// 匹配和规则校验在 access-policy.js（纯函数，有测试），这里只管读配置和处理。
+// action：
+// - public：不验证，直接放行到 Pages
+// - auth：必须已解锁，仅访问模式也只给验证页
+// - redacted：已解锁看完整版，其他人（不管有没有进仅访问模式）看脱敏页
+// - deny：直接返回 status（403 / 404，默认 403），已解锁也一样
+// cache：只对 public（以及 deny、定时开放里 public 的窗口）生效，覆盖响应的 Cache-Control；
+// 已解锁看到的完整版固定 private, no-store（写在 auth / redacted 规则上的 cache 不起作用），脱敏页固定不缓存。
+// 没有规则匹配时走原来的逻辑（已解锁放行，仅访问模式给脱敏页，其他给验证页）。
+// /__gate、/api/* 等内部路由和 ACME 校验不受策略影响。
 
-function gatePage(env, { clearPublic = false } = {}) {
-  const title = "⭐️ Just for xx";
-  const subtitle = "If you know WHO I am，enter your answer and receive the verification code via SMS.Otherwise,click '仅访问'.";
+async function loadAccessPolicy(env) {
+  let raw = env.ACCESS_POLICY;
+  if (!raw) raw = await env.OTP_KV.get("config:access_policy", { cacheTtl: 60 });
+  if (!raw) return [];
+  const parsed = typeof raw === "string" ? safeJsonParse(raw) : raw;
+  if (!Array.isArray(parsed)) {
+    // 整张表不认识时一条都不用：所有路径照旧需要解锁
+    console.error("[gate] ACCESS_POLICY 不是合法的 JSON 数组，已忽略");
+    return [];
+  }
 
-  const html = `<!doctype html>
-<html lang="zh-CN">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width,initial-scale=1" />
-  <title>${escapeHtml(title)}</title>
-  <style>
-    :root{--bg:#0b0c10;--card:#131622;--txt:#eef1f8;--muted:#9aa3b2;--line:rgba(255,255,255,.12);--accent:#8ec5ff;--accent-2:#b28dff;--btn:#f9f9fb;--btnTxt:#0f1117;}
-    *{box-sizing:border-box;}
+  const rules = [];
+  parsed.forEach((it, i) => {
+    const rule = normalizeAccessRule(it);
+    if (rule) rules.push(rule);
+    else console.error(`[gate] ACCESS_POLICY 第 ${i + 1} 条规则不合法，已忽略：${JSON.stringify(it)}`);
+  });
+  return rules;
+}
+
+async function matchAccessRule(env, path, method) {
+  const rules = await loadAccessPolicy(env);
+  return findAccessRule(rules, path, method);
+}
+
+function accessDenied(rule) {
+  const headers = { "content-type": "text/plain; charset=utf-8", "x-robots-tag": "noindex" };
+  if (rule.cache) headers["cache-control"] = rule.cache;
+  return new Response(rule.status === 404 ? "Not Found" : "Forbidden", { status: rule.status, headers });
+}
+
+function badPath() {
+  return new Response("Bad Request", {
+    status: 400,
+    headers: { "content-type": "text/plain; charset=utf-8", "cache-control": "private, no-store", "x-robots-tag": "noindex" },
+  });
+}
+
+// 已解锁看到的是私密内容：不管源站和路径策略怎么写，都不让 CDN / 共享缓存存
+function withPrivateCache(resp) {
+  const out = new Response(resp.body, resp);
+  out.headers.set("cache-control", "private, no-store");
+  return out;
+}
+
+function withRuleCache(resp, rule) {
+  if (!rule?.cache) return resp;
+  const out = new Response(resp.body, resp);
+  out.headers.set("cache-control", rule.cache);
+  return out;
+}
+
+// ----------------------- 定时开放（开放窗口） -----------------------
+//
+// SCHEDULE（env，JSON）或 KV 里的 config:schedule：
+// {
+//   "timezone": "Asia/Shanghai",
+//   "notBefore": "2027-02-24T00:00",   // 之前：所有人（包括已解锁的）只看到倒计时页
+//   "notAfter": "2027-03-03T00:00",    // 之后：按 after 处理
+//   "during": "gate",                  // 窗口内：gate（照常验证，默认）| public（谁都能看）
+//   "after": "gate",                   // 窗口后：gate（收回验证之后，已解锁的照常看，默认）| public（完全公开）
+//   "paths": [{ "path": "/letters/**", "notBefore": "2027-02-24T20:00" }]
+// }
+// 不带时区的时间（2027-02-24T00:00）按 timezone 解释，带 Z / +08:00 的按本身的时区。
+// paths 按顺序取第一条匹配的（写法同 pathMatches，可带 methods），没写的字段沿用外层；都不匹配就用外层。
+// notBefore 写错时按「还没开放」处理（宁可晚开，不能提前），notAfter 写错时忽略。
+// /__gate、/api/* 等内部路由不受影响，可以提前验证；路径策略的 deny / public 先于这里生效（favicon、字体照常放行）。
+
+const SCHEDULE_MODES = ["gate", "public"];
+
+async function loadSchedule(env) {
+  let raw = env.SCHEDULE;
+  if (!raw) raw = await env.OTP_KV.get("config:schedule", { cacheTtl: 60 });
+  if (!raw) return null;
+  const parsed = typeof raw === "string" ? safeJsonParse(raw) : raw;
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    // 配错了不知道什么时候该开：一直显示倒计时（没有时间）
+    console.error("[gate] SCHEDULE 不是合法的 JSON 对象，按未开放处理");
+    return { invalid: true };
+  }
+  return parsed;
+}
+
+// 返回 null（没配置）或 { state: "before" | "during" | "after", mode, opensAt, timezone }
+async function scheduleState(env, path, method, now = Date.now()) {
+  const schedule = await loadSchedule(env);
+  if (!schedule) return null;
+  if (schedule.invalid) return { state: "before", opensAt: null, timezone: "UTC" };
+
+  const rule = (Array.isArray(schedule.paths) ? schedule.paths : []).find(r =>
+    r && typeof r.path === "string" && pathMatches(r.path, path) &&
+    (!Array.isArray(r.methods) || r.methods.some(m => String(m).toUpperCase() === method)));
+  const w = { ...schedule, ...(rule || {}) };
+
+  let timezone = typeof w.timezone === "string" && w.timezone ? w.timezone : "UTC";
+  if (!isTimeZone(timezone)) {
+    console.error(`[gate] SCHEDULE 的 timezone 不认识：${timezone}，改用 UTC`);
+    timezone = "UTC";
+  }
+
+  const notBefore = parseScheduleTime(w.notBefore, timezone);
+  if (Number.isNaN(notBefore)) {
+    console.error(`[gate] SCHEDULE 的 notBefore 格式不对：${w.notBefore}`);
+    return { state: "before", opensAt: null, timezone };
+  }
+  if (notBefore != null && now < notBefore) return { state: "before", opensAt: notBefore, timezone };
+
+  let notAfter = parseScheduleTime(w.notAfter, timezone);
+  if (Number.isNaN(notAfter)) {
+    console.error(`[gate] SCHEDULE 的 notAfter 格式不对，已忽略：${w.notAfter}`);
+    notAfter = null;
+  }
+  if (notAfter != null && now >= notAfter) {
+    return { state: "after", mode: SCHEDULE_MODES.includes(w.after) ? w.after : "gate", timezone };
+  }
+  return { state: "during", mode: SCHEDULE_MODES.includes(w.during) ? w.during : "gate", timezone };
+}
+
+// 没写返回 null，格式不对返回 NaN
+function parseScheduleTime(v, timezone) {
+  if (v == null || v === "") return null;
+  const str = String(v).trim();
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(str)) {
+    const t = Date.parse(str);
+    return Number.isFinite(t) ? t : NaN;
+  }
+  const m = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!m) return NaN;
+  const local = Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+  // 先按那一刻的时区偏移换算，再用换算结果处的偏移校一次（夏令时切换附近两者不同）
+  const guess = local - timeZoneOffsetMs(local, timezone);
+  return local - timeZoneOffsetMs(guess, timezone);
+}
+
+// 时区在 t 时刻比 UTC 快多少毫秒
+function timeZoneOffsetMs(t, timezone) {
+  const parts = {};
+  const fmt = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+  for (const p of fmt.formatToParts(new Date(t))) parts[p.type] = p.value;
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(t / 1000) * 1000;
+}
+
+function isTimeZone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ----------------------- 多站点（按域名区分配置） -----------------------
+//
+// SITES（env，JSON）或 KV 里的 config:sites，以域名为键（*.example.com 匹配所有子域名）：
+// {
+//   "20070224.xyz":         { "id": "default" },
+//   "love-xx.20070224.xyz": { "id": "default" },
+//   "grad.example.com":     { "id": "grad", "passphrase": "…", "phone": "139…", "aliyunTemplateCode": "…",
+//                             "authTtlDays": 3, "branding": { … }, "origin": "https://grad.pages.dev" }
+// }
+// id 相同的域名共用一套数据（会话、通行密钥、事件……）；id 省略时取域名。
+// 站点里的字段覆盖对应的环境变量（见 SITE_FIELDS）。id 为 default 的站点沿用原来的 KV 数据和 Cookie 签名，
+// 老用户不用重新解锁；其他站点的 KV 一律加 site:<id>: 前缀，Cookie 用从 COOKIE_SECRET 派生的独立密钥签名，
+// 密语 / 手机号 / COOKIE_DOMAIN 等也不继承全局值——一个站点的密语和 cf_auth 都解锁不了另一个站点。
+// 限流计数（含全站短信额度）所有站点共用。
+// 没配 SITES 时只有一个站点，行为和以前一样；配了之后，不在表里的域名直接报错。
+
+const DEFAULT_SITE_ID = "default";
+
+// 站点字段 -> 环境变量
+const SITE_FIELDS = {
+  passphrase: "PASSPHRASE",
+  passphraseHashes: "PASSPHRASE_HASHES",
+  phone: "TARGET_PHONE",
+  countryCode: "COUNTRY_CODE",
+  identities: "IDENTITIES",
+  aliyunSignName: "ALIYUN_SIGN_NAME",
+  aliyunTemplateCode: "ALIYUN_TEMPLATE_CODE",
+  cookieDomain: "COOKIE_DOMAIN",
+  authTtlDays: "AUTH_TTL_DAYS",
+  branding: "BRANDING",
+  accessPolicy: "ACCESS_POLICY",
+  schedule: "SCHEDULE",
+  origin: "ORIGIN_URL",
+  originSecret: "ORIGIN_SECRET",
+  passkeyRpId: "PASSKEY_RP_ID",
+  adminToken: "ADMIN_TOKEN",
+};
+
+// 只属于原来站点的全局值，其他站点没写就当没有
+const SITE_PRIVATE_VARS = [
+  "PASSPHRASE", "PASSPHRASE_HASHES", "TARGET_PHONE", "IDENTITIES",
+  "COOKIE_DOMAIN", "ACCESS_POLICY", "SCHEDULE", "ORIGIN_URL", "ORIGIN_SECRET", "PASSKEY_RP_ID",
+];
+
+// 没配 SITES 返回 null；配错了返回空表（所有域名都报错，不会退回单站点）
+async function loadSites(env) {
+  let raw = env.SITES;
+  if (!raw) raw = await env.OTP_KV.get("config:sites", { cacheTtl: 60 });
+  if (!raw) return null;
+  const parsed = typeof raw === "string" ? safeJsonParse(raw) : raw;
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    console.error("[gate] SITES 不是合法的 JSON 对象");
+    return {};
+  }
+
+  const sites = {};
+  for (const [host, it] of Object.entries(parsed)) {
+    const id = it && typeof it === "object" ? String(it.id || host) : "";
+    if (!/^[\w.-]+$/.test(id)) {
+      console.error(`[gate] SITES 里 ${host} 的配置不合法，已忽略`);
+      continue;
+    }
+    sites[host.toLowerCase()] = { ...it, id };
+  }
+  return sites;
+}
+
+// 没配 SITES 返回 undefined；配了但域名不在表里返回 null
+async function resolveSite(env, hostname) {
+  const sites = await loadSites(env);
+  if (!sites) return undefined;
+  const host = hostname.toLowerCase();
+  if (sites[host]) return sites[host];
+
+  // 通配：取后缀最长的那条
+  let best = null;
+  for (const [pattern, site] of Object.entries(sites)) {
+    if (!pattern.startsWith("*.")) continue;
+    const suffix = pattern.slice(1);
+    if (host.endsWith(suffix) && (!best || suffix.length > best.suffix.length)) best = { suffix, site };
+  }
+  return best ? best.site : null;
+}
+
+// 把站点配置叠到 env 上，后面的代码照常读 env
+function siteEnv(env, site) {
+  const out = { ...env, SITE_ID: site.id };
+  if (site.id !== DEFAULT_SITE_ID) {
+    for (const name of SITE_PRIVATE_VARS) delete out[name];
+    out.OTP_KV = scopedKv(env.OTP_KV, `site:${site.id}:`);
+    out.SHARED_KV = env.OTP_KV;
+  }
+  for (const [field, name] of Object.entries(SITE_FIELDS)) {
+    const v = site[field];
+    if (v == null) continue;
+    out[name] = Array.isArray(v) && name === "PASSPHRASE_HASHES" ? v.join(",") : v;
+  }
+  return out;
+}
+
+// 给 KV 的所有键加上前缀，list 返回的键名去掉前缀
+function scopedKv(kv, prefix) {
+  return {
+    get: (key, opts) => kv.get(prefix + key, opts),
+    put: (key, value, opts) => kv.put(prefix + key, value, opts),
+    delete: key => kv.delete(prefix + key),
+    async list(opts = {}) {
+      const page = await kv.list({ ...opts, prefix: prefix + (opts.prefix || "") });
+      return { ...page, keys: page.keys.map(k => ({ ...k, name: k.name.slice(prefix.length) })) };
+    },
+  };
+}
+
+function unknownSite(request, url) {
+  const lang = pickLocale(request);
+  return new Response(t(lang, "site.unknown", { host: url.hostname }), {
+    status: 404,
+    headers: {
+      "content-type": "text/plain; charset=utf-8",
+      "cache-control": "no-store",
+      "x-robots-tag": "noindex",
+    },
+  });
+}
+
+// ----------------------- 放行到源站（ORIGIN_URL 代理） -----------------------
+//
+// 没配 ORIGIN_URL 时 fetch(request) 原样交给同域名的 Pages（Worker 路由落空后的默认去处），cookie 和请求头都不动。
+// 配了 ORIGIN_URL（如 https://xx.pages.dev/site）时显式代理：
+// - 改写成源站地址：协议和域名换成 ORIGIN_URL 的，路径前面拼上它的路径前缀
+// - 去掉 gate 自己的 cookie（GATE_COOKIES）和客户端自带的 x-gate-* 请求头（防伪造）
+// - 已解锁的请求在配了 ORIGIN_SECRET 时带上 x-gate-user（身份名，encodeURIComponent）、x-gate-session、
+//   x-gate-timestamp 和 x-gate-signature = sha256=HMAC(ORIGIN_SECRET, `${timestamp}.${method}.${path}.${user}.${session}`)，
+//   path 是源站收到的路径（含查询串）；源站校验签名、拒绝太旧的时间戳，就能确认请求来自 gate 以及是谁
+// - 不跟随重定向：源站的 Location 指回自己时改写成访问的域名
+// - 请求体和响应体都直接流式转发，不缓冲；Range 请求头和 206 / Content-Range 原样透传
+
+const GATE_COOKIES = ["cf_auth", "cf_sid", "cf_mode", "cf_lang", "cf_admin", "cf_device"];
+
+// session 为 verifyAuthCookie 的结果（未解锁传 null）
+async function originFetch(request, env, session = null) {
+  if (!env.ORIGIN_URL) return fetch(request);
+  const origin = new URL(env.ORIGIN_URL);
+  const base = origin.pathname.replace(/\/+$/, "");
+  const url = new URL(request.url);
+  // 逐段赋值，不用 new URL(path, origin)：//evil.com 这类路径会被当成别的域名
+  const target = new URL(origin.origin);
+  target.pathname = base + url.pathname;
+  target.search = url.search;
+
+  const headers = new Headers(request.headers);
+  for (const name of [...headers.keys()]) {
+    if (name.startsWith("x-gate-")) headers.delete(name);
+  }
+  const cookies = stripGateCookies(headers.get("cookie") || "");
+  if (cookies) headers.set("cookie", cookies);
+  else headers.delete("cookie");
+  headers.set("x-forwarded-host", url.host);
+  headers.set("x-forwarded-proto", url.protocol.replace(":", ""));
+
+  if (session && env.ORIGIN_SECRET) {
+    const ts = String(Math.floor(Date.now() / 1000));
+    const user = encodeURIComponent(session.identity);
+    const sessionId = session.sessionId || "";
+    const path = target.pathname + target.search;
+    const sig = await hmacSha256Hex(env.ORIGIN_SECRET, `${ts}.${request.method}.${path}.${user}.${sessionId}`);
+    headers.set("x-gate-user", user);
+    headers.set("x-gate-session", sessionId);
+    headers.set("x-gate-timestamp", ts);
+    headers.set("x-gate-signature", `sha256=${sig}`);
+  }
+
+  const resp = await fetch(target, {
+    method: request.method,
+    headers,
+    body: request.method === "GET" || request.method === "HEAD" ? null : request.body,
+    redirect: "manual",
+  });
+
+  const location = resp.headers.get("location");
+  if (!location) return resp;
+  const loc = new URL(location, target);
+  if (loc.origin !== origin.origin) return resp;
+  let path = loc.pathname;
+  if (base && (path === base || path.startsWith(`${base}/`))) path = path.slice(base.length) || "/";
+  const out = new Response(resp.body, resp);
+  out.headers.set("location", path + loc.search + loc.hash);
+  return out;
+}
+
+function stripGateCookies(header) {
+  return header
+    .split(";")
+    .map(x => x.trim())
+    .filter(x => x && !GATE_COOKIES.includes(x.split("=")[0].trim()))
+    .join("; ");
+}
+
+// ----------------------- 多语言（zh-CN / en） -----------------------
+//
+// 语言按这个顺序决定：?lang=xx（同时写进 cf_lang cookie，之后的页面和 API 都沿用）> cf_lang cookie > Accept-Language > zh-CN。
+// 页面文案和 API 返回的 message 都从下面的目录取；API 失败时另带稳定的 error 码，前端 / 脚本按 error 判断，不要匹配 message。
+// 文案里的 {name} 是占位符。
+
+const DEFAULT_LOCALE = "zh-CN";
+const LANG_COOKIE = "cf_lang";
+
+const MESSAGES = {
+  "zh-CN": {
+    // 验证入口
+    "gate.title": "⭐️ 只给 xx",
+    "gate.subtitle": "如果你知道我是谁，输入答案就能收到短信验证码；不知道的话，点「仅访问」看看就好。",
+    "gate.clear": "清除状态",
+    "gate.switch_lang": "English",
+    "gate.badge": "ONLY YOU",
+    "gate.phrase_label": "我是？",
+    "gate.phrase_placeholder": "输入密语…",
+    "gate.start": "解锁并发送验证码",
+    "gate.passkey": "🔑 用通行密钥解锁",
+    "gate.public": "仅访问",
+    "gate.use_totp": "用身份验证器 App",
+    "gate.remember": "记住这台设备（{days} 天内不用再验证）",
+    "gate.challenge_hint": "请先完成下面的人机验证，完成后会自动继续。",
+    "gate.sms_sent_title": "✅验证码已发送给xx。",
+    "gate.totp_title": "🔐 请打开身份验证器 App。",
+    "gate.sms_code_label": "短信验证码",
+    "gate.totp_code_label": "App 里的 6 位数字",
+    "gate.code_placeholder": "例如：123456",
+    "gate.verify": "验证并进入",
+    "gate.back": "返回密语页",
+    "gate.sms_hint": "收不到短信？先看看是不是被拦截了，倒计时结束后可以重新发送。",
+    "gate.resend": "重新发送验证码",
+    "gate.resend_in": "{seconds} 秒后可以重新发送",
+    "gate.enroll_title": "要在这台设备上创建通行密钥吗？",
+    "gate.enroll_desc": "下次用指纹 / 面容 / 设备密码就能直接解锁，不用再收短信。",
+    "gate.enroll": "创建通行密钥",
+    "gate.enroll_totp": "绑定身份验证器 App（短信用不了时的备用方式）",
+    "gate.skip": "跳过，直接进入",
+    "gate.failed": "失败了",
+    "gate.sms_sent": "验证码已发送",
+    "gate.network_error": "网络错误，请稍后重试",
+    "gate.code_wrong": "验证码错误",
+    "gate.entering": "验证成功，正在进入…",
+    "gate.attempts_left": "剩余尝试次数：{remaining} / {max}",
+    "gate.attempts_none": "暂时不能再试了。",
+    "gate.attempts_restart": "请点「返回密语页」重新获取验证码。",
+    "gate.enroll_failed": "创建失败，可以先跳过",
+    "gate.passkey_failed": "通行密钥验证失败，请改用短信",
+
+    // 倒计时页
+    "countdown.title": "⏳ 还没到时间哦",
+    "countdown.subtitle": "这里藏着一份礼物，到点才能打开。",
+    "countdown.days": "天",
+    "countdown.hours": "时",
+    "countdown.minutes": "分",
+    "countdown.seconds": "秒",
+    "countdown.opens_at": "{time}（{tz}）准时开放",
+    "countdown.unknown": "开放时间还没定，晚点再来看看。",
+
+    // 邀请链接
+    "invite.title": "💌 你收到了一份邀请",
+    "invite.subtitle": "点下面的按钮直接进入，不用输入密语，也不用收验证码。",
+    "invite.subtitle_invalid": "这个邀请链接现在用不了。",
+    "invite.enter": "接受邀请并进入",
+    "invite.fine": "进入后这台设备会在一段时间内保持解锁，链接本身可能只能用一次，请不要转发。",
+    "invite.invalid": "链接不完整或无效，请确认复制了完整的地址。",
+    "invite.expired": "这个邀请已经过期了。",
+    "invite.used_up": "这个邀请已经被用完了。",
+    "invite.revoked": "这个邀请已经被收回了。",
+    "invite.to_gate": "去验证页解锁",
+
+    // 仅访问模式
+    "public.title": "🫧 仅访问模式（脱敏）",
+    "public.tag": "仅访问模式（已脱敏） · {host}",
+    "public.unlock": "我是 xx，去解锁",
+    "public.hero_title": "这是网站的“总体框架预览”",
+    "public.hero_desc": "你现在看到的是不含任何个人信息的版本：不展示名字、在一起时间、照片、私密文案等，但会展示“这个网站由哪些模块组成”。",
+    "public.chips": "首页/封面|倒计时|纪念日|相册|小信/告白|彩蛋|音乐开关",
+    "public.birthday_title": "🎂 生日倒计时模块",
+    "public.birthday_desc": "（脱敏）这里原本会显示：距离生日还有多少天/小时/分钟。",
+    "public.anniversary_title": "💞 纪念日模块",
+    "public.anniversary_desc": "（脱敏）这里原本会显示：在一起的纪念日倒计时/已经在一起多久。",
+    "public.album_title": "📷 相册模块",
+    "public.album_desc": "（脱敏）这里原本会展示照片墙（图片已隐藏）。",
+    "public.letter_title": "✉️ 信封/告白模块",
+    "public.letter_desc": "（脱敏）这里原本会展示一段只给她看的文字（内容已隐藏）。",
+    "public.egg_title": "🪄 彩蛋模块",
+    "public.egg_desc": "（脱敏）这里原本会有一个暗号触发的小彩蛋（内容已隐藏）。",
+    "public.music_title": "🎵 音乐/交互模块",
+    "public.music_desc": "（脱敏）这里原本会有背景音乐开关、轻微动画和互动提示（已隐藏具体资源）。",
+    "public.footer_unlock": "如果你是 xx，请点击右上角「我是 xx，去解锁」输入密语后获取短信验证码。",
+    "public.footer_privacy": "提示：为了隐私安全，这个模式不会代理/加载任何真实照片或私密内容。",
+    "public.preview_banner": "仅访问模式：你看到的是脱敏后的页面，照片和私密内容都已隐藏。",
+    "public.redacted": "（已隐藏）",
+    "public.blocked": "仅访问模式下不能查看这个内容。",
+    "site.unknown": "这个域名（{host}）没有配置站点，请检查 SITES。",
+    "config_incomplete": "网站配置不完整，暂时无法使用，请联系网站主人。",
+
+    // 绑定身份验证器 App
+    "totp_page.title": "绑定身份验证器 App",
+    "totp_page.stale": "为了安全，只能在验证成功后 10 分钟内绑定。请{logout}后重新验证，再打开这个页面。",
+    "totp_page.logout": "退出",
+    "totp_page.intro": "用 Google Authenticator、Microsoft Authenticator、1Password 等 App 扫描二维码，然后输入 App 里显示的 6 位数字完成绑定。",
+    "totp_page.replace_warn": "这个身份已经绑定过验证器，完成绑定后旧的会失效。",
+    "totp_page.manual": "扫不了码？手动输入密钥：",
+    "totp_page.code_label": "App 里的 6 位数字",
+    "totp_page.confirm": "完成绑定",
+    "totp_page.done": "已绑定",
+
+    // API
+    "phrase_rate_limited": "尝试次数过多，请稍后再试。",
+    "phrase_invalid": "密语不对哦～",
+    "challenge_required": "请先完成人机验证。",
+    "challenge_failed": "人机验证没通过，请再试一次。",
+    "challenge_unavailable": "人机验证服务暂时不可用，请稍后再试。",
+    "totp_not_enrolled": "这个身份还没有绑定身份验证器 App，请用短信验证。",
+    "sms_paused": "短信发送暂时关闭了，请稍后再试。",
+    "sms_budget_exhausted": "短信额度暂时用完了，请稍后再试。",
+    "sms_cooldown": "操作太快啦，稍等一会再试～",
+    "sms_error.phone_limit": "这个号码今天收到的验证码太多了，请过一段时间（或明天）再试。",
+    "sms_error.frequency": "发送太频繁了，请稍等一会儿再试。",
+    "sms_error.config": "网站的短信配置有问题，暂时发不了验证码，请联系网站主人（{code}）。",
+    "sms_error.phone_invalid": "接收验证码的手机号有误，请联系网站主人（{code}）。",
+    "sms_error.account": "短信服务账户暂时不可用，请联系网站主人（{code}）。",
+    "sms_error.unavailable": "短信服务暂时不稳定，请稍后再试。",
+    "sms_error.unknown": "短信发送失败，请稍后再试（{code}）。",
+    "resend.sent": "验证码已重新发送，请以最新的一条为准。",
+    "resend_not_sms": "这次是用身份验证器 App 验证的，不需要发短信。",
+    "start.sms_sent": "验证码已发送，请查收短信。",
+    "start.totp": "请输入身份验证器 App 里的 6 位数字。",
+    "sid_missing": "缺少会话信息，请返回重新解锁。",
+    "sid_expired": "会话已过期，请重新解锁获取验证码。",
+    "code_invalid_format": "请输入正确的验证码（4~8位）。",
+    "verify_locked": "错误次数太多，请 {minutes} 分钟后再试。",
+    "verify_locked_later": "错误次数太多，请稍后再试。",
+    "verify_provider_error": "验证码核验服务暂时出错了，请稍后再试（{code}）。",
+    "code_incorrect": "验证码不对或已过期，还可以再试 {remaining} 次。",
+    "verify_attempts_exhausted": "错误次数太多，这次的验证码作废了，请返回密语页重新获取。",
+    "verify.ok": "验证成功！欢迎进入～",
+    "not_signed_in": "未登录",
+    "reauth_required": "请在验证成功后 10 分钟内操作，可以退出后重新验证。",
+    "invite_not_allowed": "通过邀请链接进来的不能添加通行密钥或身份验证器 App。",
+    "session_not_found": "会话不存在",
+    "session.revoked": "已吊销",
+    "session.revoked_all": "已退出所有设备",
+    "passkey_disabled": "未启用通行密钥",
+    "passkey_register_failed": "通行密钥创建失败：{detail}",
+    "passkey.registered": "通行密钥已创建，下次可以直接解锁～",
+    "passkey_login_failed": "通行密钥验证失败：{detail}",
+    "passkey_not_found": "通行密钥不存在",
+    "passkey.deleted": "已删除",
+    "totp_disabled": "未启用身份验证器 App",
+    "totp_invalid_format": "请输入 6 位数字。",
+    "totp_enroll_expired": "二维码已过期，请刷新页面重新扫码。",
+    "totp_incorrect": "数字不对，请确认手机时间准确后再试。",
+    "totp.enrolled": "绑定成功！下次可以选择用身份验证器 App 验证。",
+  },
+
+  en: {
+    "gate.title": "⭐️ Just for xx",
+    "gate.subtitle": "If you know WHO I am, enter your answer and receive a verification code by SMS. Otherwise, click “Just browsing”.",
+    "gate.clear": "Reset",
+    "gate.switch_lang": "中文",
+    "gate.badge": "ONLY YOU",
+    "gate.phrase_label": "Who am I?",
+    "gate.phrase_placeholder": "Your answer…",
+    "gate.start": "Unlock and send code",
+    "gate.passkey": "🔑 Unlock with a passkey",
+    "gate.public": "Just browsing",
+    "gate.use_totp": "Use an authenticator app",
+    "gate.remember": "Remember this device (no re-verification for {days} days)",
+    "gate.challenge_hint": "Please complete the check below first; we'll continue automatically.",
+    "gate.sms_sent_title": "✅ A code has been sent to xx.",
+    "gate.totp_title": "🔐 Open your authenticator app.",
+    "gate.sms_code_label": "SMS code",
+    "gate.totp_code_label": "6-digit code from the app",
+    "gate.code_placeholder": "e.g. 123456",
+    "gate.verify": "Verify and enter",
+    "gate.back": "Back",
+    "gate.sms_hint": "No SMS? Check your blocked messages. You can resend when the countdown ends.",
+    "gate.resend": "Resend code",
+    "gate.resend_in": "Resend in {seconds}s",
+    "gate.enroll_title": "Create a passkey on this device?",
+    "gate.enroll_desc": "Next time you can unlock with your fingerprint, face or device PIN — no SMS needed.",
+    "gate.enroll": "Create passkey",
+    "gate.enroll_totp": "Set up an authenticator app (backup for when SMS doesn't work)",
+    "gate.skip": "Skip and enter",
+    "gate.failed": "Something went wrong",
+    "gate.sms_sent": "Code sent",
+    "gate.network_error": "Network error, please try again",
+    "gate.code_wrong": "Wrong code",
+    "gate.entering": "Verified, entering…",
+    "gate.attempts_left": "Attempts left: {remaining} / {max}",
+    "gate.attempts_none": "No more attempts for now.",
+    "gate.attempts_restart": "Click “Back” to get a new code.",
+    "gate.enroll_failed": "Couldn't create a passkey, you can skip this",
+    "gate.passkey_failed": "Passkey sign-in failed, please use SMS instead",
+
+    "countdown.title": "⏳ Not yet",
+    "countdown.subtitle": "There's a gift waiting here. It opens right on time.",
+    "countdown.days": "days",
+    "countdown.hours": "hrs",
+    "countdown.minutes": "min",
+    "countdown.seconds": "sec",
+    "countdown.opens_at": "Opens {time} ({tz})",
+    "countdown.unknown": "The opening time isn't set yet. Check back later.",
+
+    "invite.title": "💌 You're invited",
+    "invite.subtitle": "Tap the button below to come right in, no answer or SMS code needed.",
+    "invite.subtitle_invalid": "This invitation can't be used right now.",
+    "invite.enter": "Accept and enter",
+    "invite.fine": "This device stays unlocked for a while afterwards. The link may only work once, so please don't forward it.",
+    "invite.invalid": "This link is incomplete or invalid. Make sure you copied the whole address.",
+    "invite.expired": "This invitation has expired.",
+    "invite.used_up": "This invitation has already been used.",
+    "invite.revoked": "This invitation has been withdrawn.",
+    "invite.to_gate": "Unlock on the gate page instead",
+
+    "public.title": "🫧 Preview mode (redacted)",
+    "public.tag": "Preview mode (redacted) · {host}",
+    "public.unlock": "I'm xx, unlock",
+    "public.hero_title": "An outline of this site",
+    "public.hero_desc": "This version contains no personal information — no names, dates, photos or private notes — it only shows which parts the site is made of.",
+    "public.chips": "Cover|Countdown|Anniversary|Album|Letter|Easter egg|Music",
+    "public.birthday_title": "🎂 Birthday countdown",
+    "public.birthday_desc": "(Redacted) Days / hours / minutes until the birthday would be shown here.",
+    "public.anniversary_title": "💞 Anniversary",
+    "public.anniversary_desc": "(Redacted) The anniversary countdown / time together would be shown here.",
+    "public.album_title": "📷 Album",
+    "public.album_desc": "(Redacted) A photo wall would be shown here (images hidden).",
+    "public.letter_title": "✉️ Letter",
+    "public.letter_desc": "(Redacted) A private note would be shown here (content hidden).",
+    "public.egg_title": "🪄 Easter egg",
+    "public.egg_desc": "(Redacted) A small surprise triggered by a secret word lives here (content hidden).",
+    "public.music_title": "🎵 Music & interactions",
+    "public.music_desc": "(Redacted) Background music, subtle animations and hints would be here (resources hidden).",
+    "public.footer_unlock": "If you are xx, click “I'm xx, unlock” at the top right, enter your answer and get an SMS code.",
+    "public.footer_privacy": "For privacy, this mode never proxies or loads any real photos or private content.",
+    "public.preview_banner": "Preview mode: this page is redacted — photos and private content are hidden.",
+    "public.redacted": "(hidden)",
+    "public.blocked": "This content isn't available in preview mode.",
+    "site.unknown": "No site is configured for this host ({host}). Check SITES.",
+    "config_incomplete": "This site isn't fully configured and is unavailable right now. Please contact the site owner.",
+
+    "totp_page.title": "Set up an authenticator app",
+    "totp_page.stale": "For security, setup is only allowed within 10 minutes of verifying. Please {logout}, verify again, then reopen this page.",
+    "totp_page.logout": "sign out",
+    "totp_page.intro": "Scan the QR code with Google Authenticator, Microsoft Authenticator, 1Password or a similar app, then enter the 6-digit code it shows.",
+    "totp_page.replace_warn": "This identity already has an authenticator; the old one stops working once you finish.",
+    "totp_page.manual": "Can't scan? Enter this key manually: ",
+    "totp_page.code_label": "6-digit code from the app",
+    "totp_page.confirm": "Finish setup",
+    "totp_page.done": "Done",
+
+    "phrase_rate_limited": "Too many attempts. Please try again later.",
+    "phrase_invalid": "That's not the right answer.",
+    "challenge_required": "Please complete the human check first.",
+    "challenge_failed": "The human check didn't pass. Please try again.",
+    "challenge_unavailable": "The human check is unavailable right now. Please try again later.",
+    "totp_not_enrolled": "No authenticator app is set up for this identity yet. Please use SMS.",
+    "sms_paused": "SMS sending is paused for now. Please try again later.",
+    "sms_budget_exhausted": "The SMS quota is used up for now. Please try again later.",
+    "sms_cooldown": "Too fast — please wait a moment and try again.",
+    "sms_error.phone_limit": "This number has received too many codes today. Please try again later (or tomorrow).",
+    "sms_error.frequency": "Too many requests. Please wait a moment and try again.",
+    "sms_error.config": "The site's SMS setup has a problem, so no code can be sent right now. Please contact the site owner ({code}).",
+    "sms_error.phone_invalid": "The phone number set up to receive codes is invalid. Please contact the site owner ({code}).",
+    "sms_error.account": "The SMS account is unavailable right now. Please contact the site owner ({code}).",
+    "sms_error.unavailable": "The SMS service is having trouble. Please try again later.",
+    "sms_error.unknown": "Couldn't send the SMS. Please try again later ({code}).",
+    "resend.sent": "A new code is on its way. Please use the latest one.",
+    "resend_not_sms": "You're verifying with an authenticator app, so there's no SMS to resend.",
+    "start.sms_sent": "Code sent. Please check your SMS.",
+    "start.totp": "Enter the 6-digit code from your authenticator app.",
+    "sid_missing": "Session info is missing. Please go back and unlock again.",
+    "sid_expired": "This session has expired. Please unlock again to get a new code.",
+    "code_invalid_format": "Please enter a valid code (4–8 characters).",
+    "verify_locked": "Too many wrong codes. Please try again in {minutes} min.",
+    "verify_locked_later": "Too many wrong codes. Please try again later.",
+    "verify_provider_error": "Couldn't check the code right now. Please try again later ({code}).",
+    "code_incorrect": "Wrong or expired code. {remaining} attempt(s) left.",
+    "verify_attempts_exhausted": "Too many wrong codes — this code is no longer valid. Please go back and get a new one.",
+    "verify.ok": "Verified! Welcome in.",
+    "not_signed_in": "Not signed in",
+    "reauth_required": "This is only allowed within 10 minutes of verifying. Sign out and verify again.",
+    "invite_not_allowed": "Visitors who came in through an invitation can't add passkeys or authenticator apps.",
+    "session_not_found": "Session not found",
+    "session.revoked": "Revoked",
+    "session.revoked_all": "Signed out of all devices",
+    "passkey_disabled": "Passkeys are not enabled",
+    "passkey_register_failed": "Couldn't create the passkey.",
+    "passkey.registered": "Passkey created — next time you can unlock directly.",
+    "passkey_login_failed": "Passkey sign-in failed.",
+    "passkey_not_found": "Passkey not found",
+    "passkey.deleted": "Deleted",
+    "totp_disabled": "Authenticator apps are not enabled",
+    "totp_invalid_format": "Please enter 6 digits.",
+    "totp_enroll_expired": "The QR code has expired. Refresh the page and scan again.",
+    "totp_incorrect": "Wrong code. Make sure your phone's clock is correct and try again.",
+    "totp.enrolled": "All set! Next time you can verify with your authenticator app.",
+  },
+};
+
+function t(lang, key, params) {
+  return formatMessage(MESSAGES[lang]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key, params);
+}
+
+function formatMessage(s, params) {
+  return params ? s.replace(/\{(\w+)\}/g, (m, k) => (params[k] ?? m)) : s;
+}
+
+// "zh-TW" / "zh" -> "zh-CN"，"en-US" -> "en"；不认识的返回 null
+function matchLocale(tag) {
+  const primary = String(tag || "").trim().toLowerCase().split("-")[0];
+  if (!primary) return null;
+  return Object.keys(MESSAGES).find(l => l.toLowerCase().split("-")[0] === primary) || null;
+}
+
+function pickLocale(request) {
+  const fromQuery = matchLocale(new URL(request.url).searchParams.get("lang"));
+  if (fromQuery) return fromQuery;
+  const fromCookie = matchLocale(parseCookies(request.headers.get("Cookie") || "")[LANG_COOKIE]);
+  if (fromCookie) return fromCookie;
+
+  // Accept-Language: zh-CN,zh;q=0.9,en;q=0.8
+  const prefs = (request.headers.get("Accept-Language") || "")
+    .split(",")
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { tag, q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(p => p.tag && p.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  for (const p of prefs) {
+    const locale = matchLocale(p.tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// 页面带了 ?lang= 时记住选择（一年）
+function appendLangCookie(headers, request, env) {
+  const locale = matchLocale(new URL(request.url).searchParams.get("lang"));
+  if (!locale) return;
+  headers.append("set-cookie", cookie(LANG_COOKIE, locale, {
+    secure: true,
+    sameSite: "Lax",
+    path: "/",
+    maxAge: 365 * 24 * 3600,
+    domain: env.COOKIE_DOMAIN,
+  }));
+}
+
+// 给页面内联脚本用的文案（只挑 prefix 开头的，含品牌配置的覆盖；JSON 里的 < 转义掉，避免提前结束 <script>）
+function scriptMessages(lang, prefix, branding = {}) {
+  const out = {};
+  for (const key of Object.keys(MESSAGES[DEFAULT_LOCALE])) {
+    if (key.startsWith(prefix)) out[key.slice(prefix.length)] = brandText(branding, lang, key);
+  }
+  return JSON.stringify(out).replace(/</g, "\\u003c");
+}
+
+// API 失败：error 是稳定的错误码（给程序判断），message 是当前语言的文案（给人看）
+function jsonError(lang, error, status, { params, extra, headers, messageKey } = {}) {
+  return json({ ok: false, error, message: t(lang, messageKey || error, params), ...extra }, status, headers);
+}
+
+// ----------------------- 页面模板 / 品牌 -----------------------
+//
+// 验证页和仅访问页都由模板渲染。模板、配色和文案可以放在 env 的 BRANDING（JSON）或 KV 的 config:branding 里（改完约 1 分钟生效）：
+// {
+//   "theme": { "bg": "#0b0c10", "accent": "#8ec5ff" },               CSS 变量，可用的名字见 DEFAULT_THEME
+//   "copy": { "zh-CN": { "gate.title": "..." }, "en": { ... } },      覆盖 MESSAGES 里同名的页面文案
+//   "templates": { "gate": "<!doctype html>...", "public": "..." }    整页模板，内置的见 GATE_TEMPLATE / PUBLIC_TEMPLATE
+//                                                                    （倒计时页是 "countdown"，默认同验证页模板）
+// }
+// 模板里 {{name}} 会经过 escapeHtml；{{{name}}} 原样输出，只能用于内置的样式 / 表单 / 脚本片段。
+// 模板有问题（不是字符串、占位符不存在、验证页缺 {{{form}}} / {{{script}}}）时退回内置模板，页面照常打开。
+
+const DEFAULT_THEME = {
+  bg: "#0b0c10",
+  card: "#131622",
+  txt: "#eef1f8",
+  muted: "#9aa3b2",
+  line: "rgba(255,255,255,.12)",
+  accent: "#8ec5ff",
+  "accent-2": "#b28dff",
+  btn: "#f9f9fb",
+  btnTxt: "#0f1117",
+};
+
+const GATE_STYLES = `    *{box-sizing:border-box;}
     body{margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;background:radial-gradient(1200px 600px at 18% 12%, rgba(142,197,255,.16), transparent),radial-gradient(900px 600px at 80% 0%, rgba(178,141,255,.16), transparent),var(--bg);font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;color:var(--txt);}
     .card{width:min(560px,92vw);background:linear-gradient(180deg, rgba(255,255,255,.03), transparent),var(--card);border:1px solid var(--line);border-radius:20px;box-shadow:0 30px 80px rgba(0,0,0,.55);padding:26px 22px;position:relative;overflow:hidden;}
     .card::after{content:"";position:absolute;inset:0;border-radius:20px;border:1px solid rgba(255,255,255,.06);pointer-events:none;}
@@ -119,129 +1021,49 @@ function gatePage(env, { clearPublic = false } = {}) {
     .row.center{justify-content:center;}
     .clear-link{position:absolute;top:14px;left:14px;font-size:11px;color:rgba(255,255,255,.6);text-decoration:none;}
     .clear-link:hover{text-decoration:underline;color:#dbe6ff;}
+    .clear-link.lang{left:auto;right:14px;}
     .link{color:#c9d4ff;text-decoration:none;font-size:13px;}
     .link:hover{text-decoration:underline;}
     .err{color:#ff8585;margin:10px 0 0;font-size:13px;}
     .ok{color:#8bffc2;margin:10px 0 0;font-size:13px;}
     .otpBox{display:none;margin-top:18px;padding-top:14px;border-top:1px dashed var(--line);}
     .fine{margin-top:10px;font-size:12px;color:rgba(255,255,255,.55);}
-    .badge{display:inline-flex;align-items:center;gap:6px;padding:6px 10px;border-radius:999px;background:rgba(142,197,255,.12);color:#cfe4ff;font-size:12px;border:1px solid rgba(142,197,255,.25);}
+    button.ghost{background:transparent;color:var(--txt);box-shadow:inset 0 0 0 1px var(--line);}
+    button.ghost:hover{box-shadow:inset 0 0 0 1px rgba(142,197,255,.55);}
+    .remember{display:flex;align-items:center;gap:8px;margin:12px 0 0;font-size:13px;cursor:pointer;}
+    .remember input{width:auto;margin:0;padding:0;box-shadow:none;}
+    .challenge{justify-content:center;margin-top:12px;}
+    .countdown{display:grid;grid-template-columns:repeat(4,1fr);gap:10px;margin:18px 0 12px;}
+    .cd-unit{padding:14px 6px;border-radius:14px;background:rgba(255,255,255,.04);box-shadow:inset 0 0 0 1px var(--line);text-align:center;}
+    .cd-unit b{display:block;font-size:28px;font-variant-numeric:tabular-nums;color:var(--txt);}
+    .cd-unit span{font-size:12px;color:var(--muted);}
+    .badge{display:inline-flex;align-items:center;gap:6px;padding:6px 10px;border-radius:999px;background:rgba(142,197,255,.12);color:#cfe4ff;font-size:12px;border:1px solid rgba(142,197,255,.25);}`;
+
+const GATE_TEMPLATE = `<!doctype html>
+<html lang="{{lang}}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>{{title}}</title>
+  <style>
+    {{{theme}}}
+{{{styles}}}
   </style>
 </head>
 <body>
   <div class="card">
-    <a class="clear-link" href="/__logout">清除状态</a>
-    <h1>${escapeHtml(title)}</h1>
-    <p>${escapeHtml(subtitle)}</p>
-
-    <div id="stage1">
-      <div class="badge">ONLY YOU</div>
-      <label>我是？</label>
-      <input id="phrase" placeholder="输入密语…" autocomplete="off" />
-      <button id="btnStart">解锁并发送验证码</button>
-      <div class="row center">
-        <a class="link" href="/__public">仅访问</a>
-      </div>
-      <div id="msg1" class=""></div>
-    </div>
-
-    <div class="otpBox" id="stage2">
-      <p style="margin:0 0 10px;color:var(--txt)">✅验证码已发送给xx。</p>
-      <label>短信验证码</label>
-      <input id="code" inputmode="numeric" placeholder="例如：123456" maxlength="8" />
-      <button id="btnVerify">验证并进入</button>
-      <div id="msg2" class=""></div>
-      <div class="row">
-        <a class="link" href="/__gate">返回密语页</a>
-      </div>
-      <div class="fine">如果收不到短信，请重试。</div>
-    </div>
-
+    <a class="clear-link" href="/__logout">{{clear}}</a>
+    <a class="clear-link lang" href="{{switch_lang_href}}">{{switch_lang}}</a>
+    <h1>{{title}}</h1>
+    <p>{{subtitle}}</p>
+{{{form}}}
   </div>
 
-<script>
-const $ = (id)=>document.getElementById(id);
-function setMsg(el, type, text){
-  el.className = type;
-  el.textContent = text || "";
-}
-$("btnStart").addEventListener("click", async ()=>{
-  const phrase = $("phrase").value || "";
-  $("btnStart").disabled = true;
-  setMsg($("msg1"), "", "");
-  try{
-    const r = await fetch("/api/start", {
-      method: "POST",
-      headers: {"content-type":"application/json"},
-      body: JSON.stringify({ phrase })
-    });
-    const j = await r.json();
-    if(!r.ok){
-      setMsg($("msg1"), "err", j.message || "失败了");
-      return;
-    }
-    setMsg($("msg1"), "ok", j.message || "验证码已发送");
-    $("stage2").style.display = "block";
-    $("code").focus();
-  }catch(e){
-    setMsg($("msg1"), "err", "网络错误，请稍后重试");
-  }finally{
-    $("btnStart").disabled = false;
-  }
-});
-
-$("btnVerify").addEventListener("click", async ()=>{
-  const code = ($("code").value || "").trim();
-  $("btnVerify").disabled = true;
-  setMsg($("msg2"), "", "");
-  try{
-    const r = await fetch("/api/verify", {
-      method: "POST",
-      headers: {"content-type":"application/json"},
-      body: JSON.stringify({ code })
-    });
-    const j = await r.json();
-    if(!r.ok){
-      setMsg($("msg2"), "err", j.message || "验证码错误");
-      return;
-    }
-    setMsg($("msg2"), "ok", j.message || "验证成功，正在进入…");
-    setTimeout(()=>location.href="/", 600);
-  }catch(e){
-    setMsg($("msg2"), "err", "网络错误，请稍后重试");
-  }finally{
-    $("btnVerify").disabled = false;
-  }
-});
-</script>
+{{{script}}}
 </body>
 </html>`;
 
-  const headers = new Headers({
-    "content-type": "text/html; charset=utf-8",
-    "cache-control": "no-store",
-  });
-
-  if (clearPublic) {
-    headers.append("set-cookie", cookie("cf_mode", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
-  }
-
-  return new Response(html, { headers });
-}
-
-// ----------------------- 页面：仅访问模式（脱敏骨架页） -----------------------
-
-function publicSkeletonPage(url) {
-  const host = url.hostname;
-  const html = `<!doctype html>
-<html lang="zh-CN">
-<head>
-  <meta charset="utf-8" />
-  <meta name="viewport" content="width=device-width,initial-scale=1" />
-  <title>🫧 仅访问模式（脱敏）</title>
-  <style>
-    :root{--bg:#0b0c10;--card:#131622;--txt:#eef1f8;--muted:#9aa3b2;--line:rgba(255,255,255,.12);--accent:#8ec5ff;}
-    *{box-sizing:border-box;}
+const PUBLIC_STYLES = `    *{box-sizing:border-box;}
     body{margin:0;min-height:100vh;background:radial-gradient(1200px 600px at 70% 10%, rgba(142,197,255,.12), transparent),radial-gradient(900px 500px at 20% 0%, rgba(178,141,255,.12), transparent), var(--bg);font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;color:var(--txt);}
     .wrap{width:min(980px,94vw);margin:30px auto 56px;}
     .top{display:flex;justify-content:space-between;align-items:center;gap:12px;margin-bottom:18px;flex-wrap:wrap;}
@@ -260,63 +1082,3365 @@ function publicSkeletonPage(url) {
     .ph{margin-top:10px;border-radius:14px;border:1px dashed var(--line);background:rgba(255,255,255,.03);padding:12px;color:rgba(255,255,255,.55);font-size:13px;line-height:1.7;}
     .bar{display:flex;gap:8px;flex-wrap:wrap;margin-top:10px;}
     .chip{font-size:12px;color:rgba(255,255,255,.75);border:1px solid var(--line);padding:6px 10px;border-radius:999px;background:rgba(255,255,255,.03);}
-    footer{margin-top:18px;color:rgba(255,255,255,.45);font-size:12px;}
+    footer{margin-top:18px;color:rgba(255,255,255,.45);font-size:12px;}`;
+
+const PUBLIC_TEMPLATE = `<!doctype html>
+<html lang="{{lang}}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>{{title}}</title>
+  <style>
+    {{{theme}}}
+{{{styles}}}
   </style>
 </head>
 <body>
   <div class="wrap">
     <div class="top">
-      <div class="tag">仅访问模式（已脱敏） · ${escapeHtml(host)}</div>
-      <div class="tag"><a href="/__gate">我是 xx，去解锁</a></div>
+      <div class="tag">{{tag}}</div>
+      <div class="tag"><a href="/__gate">{{unlock}}</a></div>
     </div>
 
     <div class="hero">
-      <h1>这是网站的“总体框架预览”</h1>
-      <p>你现在看到的是不含任何个人信息的版本：不展示名字、在一起时间、照片、私密文案等，但会展示“这个网站由哪些模块组成”。</p>
+      <h1>{{hero_title}}</h1>
+      <p>{{hero_desc}}</p>
       <div class="bar">
-        <span class="chip">首页/封面</span>
-        <span class="chip">倒计时</span>
-        <span class="chip">纪念日</span>
-        <span class="chip">相册</span>
-        <span class="chip">小信/告白</span>
-        <span class="chip">彩蛋</span>
-        <span class="chip">音乐开关</span>
+        {{{chips}}}
       </div>
     </div>
 
-    <div class="grid">
-      <div class="sec half">
-        <h2 style="margin:0 0 6px;font-size:16px;">🎂 生日倒计时模块</h2>
-        <div class="ph">（脱敏）这里原本会显示：距离生日还有多少天/小时/分钟。</div>
-      </div>
-      <div class="sec half">
-        <h2 style="margin:0 0 6px;font-size:16px;">💞 纪念日模块</h2>
-        <div class="ph">（脱敏）这里原本会显示：在一起的纪念日倒计时/已经在一起多久。</div>
-      </div>
+    <div class="grid">{{{sections}}}
+    </div>
 
-      <div class="sec third">
-        <h2 style="margin:0 0 6px;font-size:16px;">📷 相册模块</h2>
-        <div class="ph">（脱敏）这里原本会展示照片墙（图片已隐藏）。</div>
-      </div>
-      <div class="sec third">
-        <h2 style="margin:0 0 6px;font-size:16px;">✉️ 信封/告白模块</h2>
-        <div class="ph">（脱敏）这里原本会展示一段只给她看的文字（内容已隐藏）。</div>
-      </div>
-      <div class="sec third">
-        <h2 style="margin:0 0 6px;font-size:16px;">🪄 彩蛋模块</h2>
-        <div class="ph">（脱敏）这里原本会有一个暗号触发的小彩蛋（内容已隐藏）。</div>
+    <footer>
+      <div>{{footer_unlock}}</div>
+      <div>{{footer_privacy}}</div>
+    </footer>
+  </div>
+</body>
+</html>`;
+
+async function loadBranding(env) {
+  let raw = env.BRANDING;
+  if (!raw) raw = await env.OTP_KV.get("config:branding", { cacheTtl: 60 });
+  if (!raw) return {};
+  const parsed = typeof raw === "string" ? safeJsonParse(raw) : raw;
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    // 只影响外观，配错了用内置样式，不挡人
+    console.error("[gate] BRANDING 不是合法的 JSON 对象，使用内置模板");
+    return {};
+  }
+  return parsed;
+}
+
+// 品牌配置里的文案优先，没有再用 MESSAGES
+function brandText(branding, lang, key, params) {
+  const s = branding.copy?.[lang]?.[key];
+  return typeof s === "string" ? formatMessage(s, params) : t(lang, key, params);
+}
+
+// 只接受看起来像颜色 / 长度的值，防止借 CSS 变量注入别的样式或跳出 <style>
+function themeCss(branding) {
+  const theme = { ...DEFAULT_THEME };
+  const custom = branding.theme;
+  if (custom && typeof custom === "object") {
+    for (const [k, v] of Object.entries(custom)) {
+      if (/^[\w-]+$/.test(k) && /^[\w#%.,()\s-]+$/.test(String(v))) theme[k] = String(v);
+      else console.error(`[gate] BRANDING.theme.${k} 的值不合法，已忽略`);
+    }
+  }
+  return `:root{${Object.entries(theme).map(([k, v]) => `--${k}:${v};`).join("")}}`;
+}
+
+// {{name}} 取 text[name] 并转义；{{{name}}} 取 raw[name] 原样输出；找不到就抛错
+function renderTemplate(template, text, raw) {
+  if (typeof template !== "string") throw new Error("模板不是字符串");
+  return template.replace(/\{\{\{\s*([\w-]+)\s*\}\}\}|\{\{\s*([\w-]+)\s*\}\}/g, (_, rawName, textName) => {
+    if (rawName) {
+      if (!(rawName in raw)) throw new Error(`未知的占位符 {{{${rawName}}}}`);
+      return raw[rawName];
+    }
+    if (!(textName in text)) throw new Error(`未知的占位符 {{${textName}}}`);
+    return escapeHtml(text[textName]);
+  });
+}
+
+function renderBranded(branding, name, defaultTemplate, text, raw, required = []) {
+  const custom = branding.templates?.[name];
+  if (custom != null) {
+    try {
+      if (typeof custom !== "string") throw new Error("模板不是字符串");
+      for (const r of required) {
+        if (!custom.includes(`{{{${r}}}}`)) throw new Error(`缺少 {{{${r}}}}`);
+      }
+      return renderTemplate(custom, text, raw);
+    } catch (err) {
+      console.error(`[gate] 模板 ${name} 有问题，改用内置模板：${err.message}`);
+    }
+  }
+  return renderTemplate(defaultTemplate, text, raw);
+}
+
+// ----------------------- 页面：验证入口 -----------------------
+
+async function gatePage(request, env, { clearPublic = false } = {}) {
+  const passkeyOn = passkeyEnabled(env);
+  const totpOn = totpEnabled(env);
+  const lang = pickLocale(request);
+  const branding = await loadBranding(env);
+  const tr = key => brandText(branding, lang, key);
+  const m = key => escapeHtml(tr(key));
+  const rememberDays = getCfg(env).REMEMBER_DEVICE_DAYS;
+  const remember = rememberDays > 0
+    ? `
+      <label class="remember"><input type="checkbox" id="remember" /> ${escapeHtml(brandText(branding, lang, "gate.remember", { days: rememberDays }))}</label>`
+    : "";
+
+  const form = `
+    <div id="stage1">
+      <div class="badge">${m("gate.badge")}</div>
+      <label>${m("gate.phrase_label")}</label>
+      <input id="phrase" placeholder="${m("gate.phrase_placeholder")}" autocomplete="off" />${remember}
+      <div id="challenge" class="challenge" style="display:none"></div>
+      <button id="btnStart">${m("gate.start")}</button>
+      <button id="btnPasskey" class="ghost" style="display:none">${m("gate.passkey")}</button>
+      <div class="row center">
+        <a class="link" href="/__public">${m("gate.public")}</a>
+        <a class="link" href="#" id="lnkTotp" style="display:none">${m("gate.use_totp")}</a>
+      </div>
+      <div id="msg1" class=""></div>
+    </div>
+
+    <div class="otpBox" id="stage2">
+      <p id="stage2Title" style="margin:0 0 10px;color:var(--txt)">${m("gate.sms_sent_title")}</p>
+      <label id="codeLabel">${m("gate.sms_code_label")}</label>
+      <input id="code" inputmode="numeric" placeholder="${m("gate.code_placeholder")}" maxlength="8" />
+      <button id="btnVerify">${m("gate.verify")}</button>
+      <div id="msg2" class=""></div>
+      <div class="fine" id="attemptsHint" style="display:none"></div>
+      <div id="smsHint">
+        <button id="btnResend" class="ghost" disabled>${m("gate.resend")}</button>
+        <div class="fine">${m("gate.sms_hint")}</div>
+      </div>
+      <div class="row">
+        <a class="link" href="/__gate">${m("gate.back")}</a>
       </div>
+    </div>
 
-      <div class="sec">
-        <h2 style="margin:0 0 6px;font-size:16px;">🎵 音乐/交互模块</h2>
-        <div class="ph">（脱敏）这里原本会有背景音乐开关、轻微动画和互动提示（已隐藏具体资源）。</div>
+    <div class="otpBox" id="stage3">
+      <div id="enrollPasskey">
+        <p style="margin:0 0 10px;color:var(--txt)">${m("gate.enroll_title")}</p>
+        <p class="fine" style="margin:0">${m("gate.enroll_desc")}</p>
+        <button id="btnEnroll">${m("gate.enroll")}</button>
+      </div>
+      <div class="row" id="enrollTotp" style="display:none">
+        <a class="link" href="/__totp">${m("gate.enroll_totp")}</a>
       </div>
+      <button id="btnSkip" class="ghost">${m("gate.skip")}</button>
+      <div id="msg3" class=""></div>
+    </div>`;
+
+  const script = `<script>
+const $ = (id)=>document.getElementById(id);
+const PASSKEY = ${passkeyOn ? "true" : "false"} && !!window.PublicKeyCredential;
+const TS = ${JSON.stringify(turnstileClientConfig(env)).replaceAll("<", "\\u003c")};
+const T = ${scriptMessages(lang, "gate.", branding)};
+function fmt(s, params){
+  for(const k in params) s = s.replaceAll("{" + k + "}", params[k]);
+  return s;
+}
+function remembered(){
+  const el = $("remember");
+  return !!(el && el.checked);
+}
+function setMsg(el, type, text){
+  el.className = type;
+  el.textContent = text || "";
+}
+function b64uToBuf(s){
+  s = s.replaceAll("-", "+").replaceAll("_", "/");
+  while(s.length % 4) s += "=";
+  const bin = atob(s);
+  const out = new Uint8Array(bin.length);
+  for(let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+  return out.buffer;
+}
+function bufToB64u(buf){
+  let bin = "";
+  for(const b of new Uint8Array(buf)) bin += String.fromCharCode(b);
+  return btoa(bin).replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
+}
+async function postJson(path, body){
+  const r = await fetch(path, {
+    method: "POST",
+    headers: {"content-type":"application/json"},
+    body: JSON.stringify(body || {})
+  });
+  const j = await r.json();
+  if(!r.ok) throw new Error(j.message || T.failed);
+  return j;
+}
+function enter(){
+  setTimeout(()=>location.href="/", 600);
+}
+if(PASSKEY) $("btnPasskey").style.display = "block";
+
+// 人机验证：token 只能用一次，每次提交后都要重置组件
+let tsToken = "", tsWidget = null, tsPending = null;
+function showChallenge(){
+  $("challenge").style.display = "flex";
+  if(tsWidget !== null || !window.turnstile) return;
+  tsWidget = turnstile.render("#challenge", {
+    sitekey: TS.siteKey,
+    action: TS.action,
+    callback: (token)=>{
+      tsToken = token;
+      if(tsPending){ const f = tsPending; tsPending = null; start(f); }
+    },
+    "expired-callback": ()=>{ tsToken = ""; }
+  });
+}
+function resetChallenge(){
+  tsToken = "";
+  if(tsWidget !== null) turnstile.reset(tsWidget);
+}
+if(TS){
+  const el = document.createElement("script");
+  el.src = TS.script;
+  el.async = true;
+  el.onload = ()=>{ if(TS.always || tsPending) showChallenge(); };
+  document.head.appendChild(el);
+}
+if(${totpOn ? "true" : "false"}) $("lnkTotp").style.display = "inline";
+
+async function start(factor){
+  const phrase = $("phrase").value || "";
+  if(TS && TS.always && !tsToken){
+    tsPending = factor;
+    showChallenge();
+    setMsg($("msg1"), "", T.challenge_hint);
+    return;
+  }
+  const turnstileToken = tsToken;
+  if(turnstileToken) resetChallenge();
+  $("btnStart").disabled = true;
+  setMsg($("msg1"), "", "");
+  try{
+    const r = await fetch("/api/start", {
+      method: "POST",
+      headers: {"content-type":"application/json"},
+      body: JSON.stringify({ phrase, factor, turnstile: turnstileToken })
+    });
+    const j = await r.json();
+    if(!r.ok){
+      setMsg($("msg1"), "err", j.message || T.failed);
+      // 服务端要求人机验证：显示组件，完成后自动重试
+      if(TS && (j.error === "challenge_required" || j.error === "challenge_failed")){
+        tsPending = factor;
+        showChallenge();
+      }
+      return;
+    }
+    setMsg($("msg1"), "ok", j.message || T.sms_sent);
+    const totp = j.factor === "totp";
+    $("stage2Title").textContent = totp ? T.totp_title : T.sms_sent_title;
+    $("codeLabel").textContent = totp ? T.totp_code_label : T.sms_code_label;
+    $("smsHint").style.display = totp ? "none" : "block";
+    // 新的 sid，重新计次
+    $("code").disabled = false;
+    delete $("btnVerify").dataset.locked;
+    $("btnVerify").disabled = false;
+    $("attemptsHint").style.display = "none";
+    $("stage2").style.display = "block";
+    if(!totp) resendCountdown(j);
+    $("code").focus();
+  }catch(e){
+    setMsg($("msg1"), "err", T.network_error);
+  }finally{
+    $("btnStart").disabled = false;
+  }
+}
+$("btnStart").addEventListener("click", ()=>start("sms"));
+
+// 重新发送：按服务器给的 nextAllowedAt 倒计时，用服务器时间 now 校正本机时钟
+let resendTimer = null;
+function resendCountdown(j){
+  clearInterval(resendTimer);
+  const btn = $("btnResend");
+  const deadline = Date.now() + ((j.nextAllowedAt || 0) - (j.now || Date.now()));
+  const tick = ()=>{
+    const left = Math.ceil((deadline - Date.now()) / 1000);
+    if(left > 0){
+      btn.disabled = true;
+      btn.textContent = fmt(T.resend_in, { seconds: left });
+      return;
+    }
+    clearInterval(resendTimer);
+    btn.disabled = false;
+    btn.textContent = T.resend;
+  };
+  tick();
+  resendTimer = setInterval(tick, 1000);
+}
+$("btnResend").addEventListener("click", async ()=>{
+  $("btnResend").disabled = true;
+  setMsg($("msg2"), "", "");
+  try{
+    const r = await fetch("/api/resend", { method: "POST" });
+    const j = await r.json();
+    setMsg($("msg2"), r.ok ? "ok" : "err", j.message || (r.ok ? T.sms_sent : T.failed));
+    // sid 过期了只能回密语页；其他失败（冷却、额度）等倒计时或直接再点
+    if(j.nextAllowedAt) resendCountdown(j);
+    else $("btnResend").disabled = r.status === 400 || r.status === 410;
+  }catch(e){
+    setMsg($("msg2"), "err", T.network_error);
+    $("btnResend").disabled = false;
+  }
+});
+$("lnkTotp").addEventListener("click", (e)=>{ e.preventDefault(); start("totp"); });
+
+// 剩余次数；sid 作废（restart）后只能回密语页
+function showAttempts(j){
+  const a = j.attempts;
+  if(!a) return;
+  $("attemptsHint").style.display = "block";
+  $("attemptsHint").textContent = j.restart
+    ? T.attempts_restart
+    : (a.remaining > 0 ? fmt(T.attempts_left, a) : T.attempts_none);
+  if(j.restart || a.remaining <= 0){
+    $("code").disabled = true;
+    $("btnVerify").dataset.locked = "1";
+  }
+}
+
+$("btnVerify").addEventListener("click", async ()=>{
+  const code = ($("code").value || "").trim();
+  $("btnVerify").disabled = true;
+  setMsg($("msg2"), "", "");
+  try{
+    const r = await fetch("/api/verify", {
+      method: "POST",
+      headers: {"content-type":"application/json"},
+      body: JSON.stringify({ code, remember: remembered() })
+    });
+    const j = await r.json();
+    if(!r.ok){
+      setMsg($("msg2"), "err", j.message || T.code_wrong);
+      showAttempts(j);
+      return;
+    }
+    setMsg($("msg2"), "ok", j.message || T.entering);
+    const offerPasskey = j.passkey && PASSKEY;
+    if(offerPasskey || j.totp){
+      $("enrollPasskey").style.display = offerPasskey ? "block" : "none";
+      $("enrollTotp").style.display = j.totp ? "flex" : "none";
+      $("stage3").style.display = "block";
+      return;
+    }
+    enter();
+  }catch(e){
+    setMsg($("msg2"), "err", T.network_error);
+  }finally{
+    $("btnVerify").disabled = !!$("btnVerify").dataset.locked;
+  }
+});
+
+$("btnEnroll").addEventListener("click", async ()=>{
+  $("btnEnroll").disabled = true;
+  setMsg($("msg3"), "", "");
+  try{
+    const opt = (await postJson("/api/passkey/register/options")).publicKey;
+    opt.challenge = b64uToBuf(opt.challenge);
+    opt.user.id = b64uToBuf(opt.user.id);
+    opt.excludeCredentials = (opt.excludeCredentials || []).map(c=>({ type: c.type, id: b64uToBuf(c.id) }));
+    const cred = await navigator.credentials.create({ publicKey: opt });
+    const j = await postJson("/api/passkey/register/verify", {
+      id: cred.id,
+      response: {
+        clientDataJSON: bufToB64u(cred.response.clientDataJSON),
+        attestationObject: bufToB64u(cred.response.attestationObject)
+      }
+    });
+    setMsg($("msg3"), "ok", j.message);
+    enter();
+  }catch(e){
+    setMsg($("msg3"), "err", (e && e.message) || T.enroll_failed);
+  }finally{
+    $("btnEnroll").disabled = false;
+  }
+});
+$("btnSkip").addEventListener("click", enter);
+
+$("btnPasskey").addEventListener("click", async ()=>{
+  $("btnPasskey").disabled = true;
+  setMsg($("msg1"), "", "");
+  try{
+    const opt = (await postJson("/api/passkey/login/options")).publicKey;
+    opt.challenge = b64uToBuf(opt.challenge);
+    const cred = await navigator.credentials.get({ publicKey: opt });
+    const j = await postJson("/api/passkey/login/verify", {
+      id: cred.id,
+      response: {
+        clientDataJSON: bufToB64u(cred.response.clientDataJSON),
+        authenticatorData: bufToB64u(cred.response.authenticatorData),
+        signature: bufToB64u(cred.response.signature),
+        userHandle: cred.response.userHandle ? bufToB64u(cred.response.userHandle) : null
+      },
+      remember: remembered()
+    });
+    setMsg($("msg1"), "ok", j.message);
+    enter();
+  }catch(e){
+    setMsg($("msg1"), "err", (e && e.message) || T.passkey_failed);
+  }finally{
+    $("btnPasskey").disabled = false;
+  }
+});
+</script>`;
+
+  const html = renderBranded(branding, "gate", GATE_TEMPLATE, {
+    lang,
+    title: tr("gate.title"),
+    subtitle: tr("gate.subtitle"),
+    clear: tr("gate.clear"),
+    switch_lang: tr("gate.switch_lang"),
+    switch_lang_href: `?lang=${lang === "en" ? "zh-CN" : "en"}`,
+  }, {
+    theme: themeCss(branding),
+    styles: GATE_STYLES,
+    form,
+    script,
+  }, ["form", "script"]);
+
+  const headers = new Headers({
+    "content-type": "text/html; charset=utf-8",
+    "cache-control": "no-store",
+  });
+
+  if (clearPublic) {
+    headers.append("set-cookie", cookie("cf_mode", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  }
+  appendLangCookie(headers, request, env);
+
+  return new Response(html, { headers });
+}
+
+// ----------------------- 页面：倒计时（还没到开放时间） -----------------------
+
+async function countdownPage(request, env, schedule) {
+  const lang = pickLocale(request);
+  const branding = await loadBranding(env);
+  const tr = (key, params) => brandText(branding, lang, key, params);
+  const m = key => escapeHtml(tr(key));
+  const opensAt = schedule.opensAt;
+  const when = opensAt == null
+    ? tr("countdown.unknown")
+    : tr("countdown.opens_at", {
+      time: new Intl.DateTimeFormat(lang, { timeZone: schedule.timezone, dateStyle: "long", timeStyle: "short" }).format(new Date(opensAt)),
+      tz: schedule.timezone,
+    });
+
+  const unit = (id, key) => `
+      <div class="cd-unit"><b id="${id}">--</b><span>${m(key)}</span></div>`;
+  const form = `
+    <div class="countdown">${unit("cdDays", "countdown.days")}${unit("cdHours", "countdown.hours")}${unit("cdMinutes", "countdown.minutes")}${unit("cdSeconds", "countdown.seconds")}
+    </div>
+    <div class="fine">${escapeHtml(when)}</div>`;
+
+  // 用服务器时间校正本机时钟；到点后错开几秒刷新，避免所有人同一秒涌进来
+  const script = `<script>
+const OPENS_AT = ${opensAt == null ? "null" : opensAt};
+const SKEW = ${Date.now()} - Date.now();
+const $ = (id)=>document.getElementById(id);
+function pad(n){
+  return String(n).padStart(2, "0");
+}
+function tick(){
+  if(OPENS_AT === null) return;
+  const left = Math.max(0, OPENS_AT - (Date.now() + SKEW));
+  const s = Math.floor(left / 1000);
+  $("cdDays").textContent = Math.floor(s / 86400);
+  $("cdHours").textContent = pad(Math.floor(s % 86400 / 3600));
+  $("cdMinutes").textContent = pad(Math.floor(s % 3600 / 60));
+  $("cdSeconds").textContent = pad(s % 60);
+  if(left <= 0){
+    clearInterval(timer);
+    setTimeout(()=>location.reload(), 1000 + Math.random() * 4000);
+  }
+}
+const timer = setInterval(tick, 1000);
+tick();
+</script>`;
+
+  const html = renderBranded(branding, "countdown", GATE_TEMPLATE, {
+    lang,
+    title: tr("countdown.title"),
+    subtitle: tr("countdown.subtitle"),
+    clear: tr("gate.clear"),
+    switch_lang: tr("gate.switch_lang"),
+    switch_lang_href: `?lang=${lang === "en" ? "zh-CN" : "en"}`,
+  }, {
+    theme: themeCss(branding),
+    styles: GATE_STYLES,
+    form,
+    script,
+  }, ["form", "script"]);
+
+  const headers = new Headers({
+    "content-type": "text/html; charset=utf-8",
+    "cache-control": "no-store",
+  });
+  appendLangCookie(headers, request, env);
+  return new Response(html, { headers });
+}
+
+// ----------------------- 页面：邀请链接 -----------------------
+
+async function invitePage(request, env, status) {
+  const lang = pickLocale(request);
+  const branding = await loadBranding(env);
+  const tr = (key, params) => brandText(branding, lang, key, params);
+  const m = key => escapeHtml(tr(key));
+
+  const form = status === "ok"
+    ? `
+    <form method="post">
+      <button type="submit">${m("invite.enter")}</button>
+    </form>
+    <div class="fine">${m("invite.fine")}</div>`
+    : `
+    <div class="err">${m(`invite.${status}`)}</div>
+    <div class="row center"><a class="link" href="/__gate">${m("invite.to_gate")}</a></div>`;
+
+  const html = renderBranded(branding, "invite", GATE_TEMPLATE, {
+    lang,
+    title: tr("invite.title"),
+    subtitle: tr(status === "ok" ? "invite.subtitle" : "invite.subtitle_invalid"),
+    clear: tr("gate.clear"),
+    switch_lang: tr("gate.switch_lang"),
+    switch_lang_href: `?lang=${lang === "en" ? "zh-CN" : "en"}`,
+  }, {
+    theme: themeCss(branding),
+    styles: GATE_STYLES,
+    form,
+    script: "",
+  }, ["form"]);
+
+  const headers = new Headers({
+    "content-type": "text/html; charset=utf-8",
+    "cache-control": "no-store",
+    "referrer-policy": "no-referrer",
+  });
+  appendLangCookie(headers, request, env);
+  return new Response(html, { status: status === "ok" ? 200 : status === "invalid" ? 404 : 410, headers });
+}
+
+// ----------------------- 页面：仅访问模式（脱敏骨架页） -----------------------
+
+async function publicSkeletonPage(request, url, env) {
+  const lang = pickLocale(request);
+  const branding = await loadBranding(env);
+  const tr = (key, params) => brandText(branding, lang, key, params);
+  const m = key => escapeHtml(tr(key));
+  const section = (cls, name) => `
+      <div class="sec${cls}">
+        <h2 style="margin:0 0 6px;font-size:16px;">${m(`public.${name}_title`)}</h2>
+        <div class="ph">${m(`public.${name}_desc`)}</div>
+      </div>`;
+
+  const html = renderBranded(branding, "public", PUBLIC_TEMPLATE, {
+    lang,
+    title: tr("public.title"),
+    tag: tr("public.tag", { host: url.hostname }),
+    unlock: tr("public.unlock"),
+    hero_title: tr("public.hero_title"),
+    hero_desc: tr("public.hero_desc"),
+    footer_unlock: tr("public.footer_unlock"),
+    footer_privacy: tr("public.footer_privacy"),
+  }, {
+    theme: themeCss(branding),
+    styles: PUBLIC_STYLES,
+    chips: tr("public.chips").split("|").map(c => `<span class="chip">${escapeHtml(c)}</span>`).join("\n        "),
+    sections: [
+      section(" half", "birthday") + section(" half", "anniversary"),
+      section(" third", "album") + section(" third", "letter") + section(" third", "egg"),
+      section("", "music"),
+    ].join("\n"),
+  });
+
+  const headers = new Headers({
+    "content-type": "text/html; charset=utf-8",
+    "cache-control": "no-store",
+  });
+  appendLangCookie(headers, request, env);
+  return new Response(html, { headers });
+}
+
+// ----------------------- 页面：仅访问模式（真实页面脱敏预览） -----------------------
+//
+// PUBLIC_PREVIEW=rewrite 时，仅访问模式不再返回手写的骨架页，而是向源站取真实页面，用 HTMLRewriter 边转发边脱敏，
+// 页面结构永远和真实站点一致：
+// - data-private 的元素和 PUBLIC_PRIVATE_SELECTORS 里的选择器 -> 换成「已隐藏」占位（data-private="remove" 直接删掉）
+// - img / video / audio / iframe 等媒体的 src、srcset、poster 去掉；带 url() 的内联 style 去掉；og / twitter 预览图和描述去掉
+// - 默认去掉所有 <script>（打包后的 JS 里常常带着私密文案），PUBLIC_KEEP_SCRIPTS=1 保留
+// - 只放行 HTML（脱敏后）、CSS 和字体；图片、音视频、JSON、JS 等一律 403；PUBLIC_BLOCKED_PATHS 里的路径连源站都不请求
+// - 源站跳到同域名的 3xx（Pages 去掉 .html、补 /）原样转发，不带源站的 cookie；跳到别的域名的 403
+
+// 这些属性会带出真实资源地址
+const PREVIEW_MEDIA_SELECTOR = "img,picture source,video,audio,source,track,iframe,embed,object,image,input[type=image]";
+const PREVIEW_MEDIA_ATTRS = ["src", "srcset", "poster", "data", "href", "xlink:href", "data-src", "data-srcset", "data-original", "data-bg"];
+const PREVIEW_META_SELECTOR = 'meta[property^="og:"],meta[name^="twitter:"],meta[name="description"],link[rel~="preload"],link[rel~="prefetch"],link[rel~="image_src"]';
+
+function publicPreviewEnabled(env) {
+  return (env.PUBLIC_PREVIEW || "").toLowerCase() === "rewrite";
+}
+
+function splitList(v) {
+  return String(v || "").split(",").map(x => x.trim()).filter(Boolean);
+}
+
+async function publicPreview(request, env) {
+  const url = new URL(request.url);
+  const lang = pickLocale(request);
+  if (request.method !== "GET" && request.method !== "HEAD") return publicPreviewBlocked(lang);
+  const policyPath = normalizePath(url.pathname);
+  if (policyPath === null || splitList(env.PUBLIC_BLOCKED_PATHS).some(p => pathMatches(p, policyPath))) return publicPreviewBlocked(lang);
+
+  // 不带 cookie、不带条件请求头：源站不需要 gate 的 cookie，而且要拿到完整的 200 才能脱敏
+  const headers = new Headers(request.headers);
+  for (const h of ["cookie", "if-none-match", "if-modified-since", "range"]) headers.delete(h);
+  const originResp = await originFetch(new Request(request, { headers }), env);
+
+  // 源站自己的跳转（Pages 的 /x.html -> /x、/dir -> /dir/）照样转给浏览器，跳去的页面再走一遍这里；
+  // 只带 location，源站的 Set-Cookie 等一概不带；跳到别的域名的仍然拦下
+  if (originResp.status >= 300 && originResp.status < 400) {
+    const location = originResp.headers.get("location");
+    if (location && URL.canParse(location, url) && new URL(location, url).origin === url.origin) {
+      return new Response(null, {
+        status: originResp.status,
+        headers: { "location": location, "cache-control": "private, no-store", "x-robots-tag": "noindex" },
+      });
+    }
+    return publicPreviewBlocked(lang);
+  }
+
+  const type = (originResp.headers.get("content-type") || "").toLowerCase();
+  const keepScripts = env.PUBLIC_KEEP_SCRIPTS === "1" || env.PUBLIC_KEEP_SCRIPTS === "true";
+  if (!originResp.ok || type.startsWith("text/html")) {
+    if (!type.startsWith("text/html")) return publicPreviewBlocked(lang, originResp.status >= 400 ? originResp.status : 403);
+    return redactHtml(originResp, env, lang, keepScripts);
+  }
+  const allowed = type.startsWith("text/css") || type.startsWith("font/") || type.includes("font-") ||
+    (keepScripts && /javascript|ecmascript/.test(type));
+  if (!allowed) return publicPreviewBlocked(lang);
+
+  const resp = new Response(originResp.body, originResp);
+  resp.headers.set("cache-control", "private, no-store");
+  resp.headers.delete("set-cookie");
+  return resp;
+}
+
+function publicPreviewBlocked(lang, status = 403) {
+  return new Response(t(lang, "public.blocked"), {
+    status,
+    headers: {
+      "content-type": "text/plain; charset=utf-8",
+      "cache-control": "private, no-store",
+      "x-robots-tag": "noindex",
+    },
+  });
+}
+
+async function redactHtml(originResp, env, lang, keepScripts) {
+  const branding = await loadBranding(env);
+  const m = key => escapeHtml(brandText(branding, lang, key));
+  const placeholder = `<div class="gate-redacted">${m("public.redacted")}</div>`;
+  const banner = `<div class="gate-preview-bar">${m("public.preview_banner")} <a href="/__gate">${m("public.unlock")}</a></div>`;
+  const style = `<meta name="robots" content="noindex"><style>
+.gate-preview-bar{position:sticky;top:0;z-index:2147483647;padding:8px 14px;background:#131622;color:#eef1f8;font:13px/1.6 system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;text-align:center;border-bottom:1px solid rgba(255,255,255,.12);}
+.gate-preview-bar a{color:#8ec5ff;}
+.gate-redacted{padding:12px;border:1px dashed rgba(127,127,127,.5);border-radius:12px;color:rgba(127,127,127,.9);font-size:13px;text-align:center;}
+[data-redacted]{background:rgba(127,127,127,.15);}
+</style>`;
+
+  let rewriter = new HTMLRewriter()
+    .on("head", { element(el) { el.append(style, { html: true }); } })
+    .on("body", { element(el) { el.prepend(banner, { html: true }); } })
+    .on(PREVIEW_MEDIA_SELECTOR, {
+      element(el) {
+        for (const a of PREVIEW_MEDIA_ATTRS) el.removeAttribute(a);
+        el.setAttribute("data-redacted", "");
+      },
+    })
+    .on("[style]", {
+      element(el) {
+        if (/url\s*\(/i.test(el.getAttribute("style") || "")) el.removeAttribute("style");
+      },
+    })
+    .on(PREVIEW_META_SELECTOR, { element(el) { el.remove(); } })
+    .on("[data-private]", {
+      element(el) {
+        if (el.getAttribute("data-private") === "remove") el.remove();
+        else el.replace(placeholder, { html: true });
+      },
+    });
+  if (!keepScripts) rewriter = rewriter.on("script,noscript", { element(el) { el.remove(); } });
+
+  for (const sel of splitList(env.PUBLIC_PRIVATE_SELECTORS)) {
+    try {
+      rewriter = rewriter.on(sel, { element(el) { el.replace(placeholder, { html: true }); } });
+    } catch (err) {
+      console.error(`[gate] PUBLIC_PRIVATE_SELECTORS 里的选择器不合法，已忽略：${sel}`);
+    }
+  }
+
+  const resp = rewriter.transform(originResp);
+  const out = new Response(resp.body, resp);
+  out.headers.set("cache-control", "private, no-store");
+  out.headers.set("x-robots-tag", "noindex");
+  for (const h of ["content-length", "etag", "last-modified", "set-cookie", "content-security-policy"]) out.headers.delete(h);
+  return out;
+}
+
+// ----------------------- 人机验证（Turnstile） -----------------------
+//
+// 配了 TURNSTILE_SITE_KEY + TURNSTILE_SECRET_KEY 后，/api/start 要带人机验证的 token，服务端校验通过才核对密语、发短信。
+// TURNSTILE_MODE：
+// - always（默认）：每次都要
+// - suspicious：有可疑信号时才要——这个 IP 近 10 分钟试密语超过 TURNSTILE_AFTER_ATTEMPTS 次、
+//   来自从没成功解锁过的国家（seen:country:<国家>），或者来自机房 ASN（TURNSTILE_DATACENTER_ASNS，默认常见云厂商）
+// 校验地址 TURNSTILE_VERIFY_URL 默认是 Cloudflare 的 siteverify；本地调试可以换成自己的 mock（收同样的表单，回 { success }）。
+// 前端：always 模式一打开就渲染组件；suspicious 模式在 /api/start 返回 challenge_required 后再渲染，拿到 token 自动重试。
+
+const TURNSTILE_VERIFY_URL = "https://challenges.cloudflare.com/turnstile/v0/siteverify";
+const TURNSTILE_SCRIPT_URL = "https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit";
+const TURNSTILE_ACTION = "gate_start";
+// AWS、Google Cloud、Azure、DigitalOcean、Linode、OVH、Hetzner、Vultr、Oracle、阿里云、腾讯云、华为云
+const DEFAULT_DATACENTER_ASNS = [16509, 14618, 15169, 396982, 8075, 14061, 63949, 16276, 24940, 20473, 31898, 45102, 37963, 132203, 45090, 136907];
+
+function turnstileEnabled(env) {
+  return !!(env.TURNSTILE_SITE_KEY && env.TURNSTILE_SECRET_KEY);
+}
+
+function turnstileMode(env) {
+  return (env.TURNSTILE_MODE || "").toLowerCase() === "suspicious" ? "suspicious" : "always";
+}
+
+function datacenterAsns(env) {
+  if (!env.TURNSTILE_DATACENTER_ASNS) return new Set(DEFAULT_DATACENTER_ASNS);
+  return new Set(splitList(env.TURNSTILE_DATACENTER_ASNS).map(Number).filter(Number.isInteger));
+}
+
+// 需要人机验证的原因（空数组 = 不需要）；phraseAttempts 是这个 IP 窗口内试密语的次数（含这一次）
+async function challengeSignals(env, request, phraseAttempts) {
+  if (!turnstileEnabled(env)) return [];
+  if (turnstileMode(env) === "always") return ["always"];
+
+  const signals = [];
+  if (phraseAttempts > getCfg(env).TURNSTILE_AFTER_ATTEMPTS) signals.push("attempts");
+  const country = request.cf?.country;
+  if (country && !await env.OTP_KV.get(`seen:country:${country}`, { cacheTtl: 60 })) signals.push("new_country");
+  const asn = Number(request.cf?.asn);
+  if (asn && datacenterAsns(env).has(asn)) signals.push("datacenter");
+  return signals;
+}
+
+// 成功解锁过的国家，之后从这些国家来的不算可疑
+async function rememberCountry(env, request) {
+  const country = request.cf?.country;
+  if (country) await env.OTP_KV.put(`seen:country:${country}`, "1");
+}
+
+// { ok } 或 { ok: false, reason, unavailable }（unavailable = 校验服务本身出错）
+async function verifyTurnstile(env, token, ip) {
+  const form = new FormData();
+  form.append("secret", env.TURNSTILE_SECRET_KEY);
+  form.append("response", token);
+  if (ip) form.append("remoteip", ip);
+  try {
+    const resp = await fetch(env.TURNSTILE_VERIFY_URL || TURNSTILE_VERIFY_URL, { method: "POST", body: form });
+    const data = safeJsonParse(await resp.text());
+    if (!resp.ok || !data) return { ok: false, unavailable: true, reason: `siteverify 返回 ${resp.status}` };
+    if (!data.success) return { ok: false, reason: (data["error-codes"] || []).join(",") || "failed" };
+    if (data.action && data.action !== TURNSTILE_ACTION) return { ok: false, reason: `action 不对：${data.action}` };
+    return { ok: true };
+  } catch (e) {
+    return { ok: false, unavailable: true, reason: String(e?.message || e) };
+  }
+}
+
+// 前端用的配置（没开时为 null）
+function turnstileClientConfig(env) {
+  if (!turnstileEnabled(env)) return null;
+  return {
+    siteKey: env.TURNSTILE_SITE_KEY,
+    script: TURNSTILE_SCRIPT_URL,
+    action: TURNSTILE_ACTION,
+    always: turnstileMode(env) === "always",
+  };
+}
+
+// ----------------------- API：start（密语正确 -> 发送短信验证码） -----------------------
+
+// 限流：密语尝试（每个 IP 10分钟 20次）
+const PW_MAX_ATTEMPTS = 20;
+const PW_WINDOW_SECONDS = 10 * 60;
+
+// 短信：每个 IP、每个手机号各有冷却，手机号另有每小时上限；全站再有 24 小时 / 30 天总额度
+async function smsRateRules(env, ip, identity) {
+  const cfg = getCfg(env);
+  const phone = (await sha256Hex(`${identity.countryCode}:${identity.phone}`)).slice(0, 16);
+  return [
+    { name: "sms_cooldown", key: `sms:${ip}`, limit: 1, windowSeconds: cfg.SMS_COOLDOWN_SECONDS },
+    { name: "sms_cooldown", key: `phone:${phone}`, limit: 1, windowSeconds: cfg.SMS_COOLDOWN_SECONDS },
+    { name: "sms_phone_hourly", key: `phone-hour:${phone}`, limit: cfg.SMS_PHONE_HOURLY_MAX, windowSeconds: 3600 },
+    ...smsBudgetRules(env),
+  ];
+}
+
+function smsBudgetRules(env) {
+  const cfg = getCfg(env);
+  return [
+    { name: "sms_daily_cap", key: "budget:sms-day", limit: cfg.SMS_DAILY_CAP, windowSeconds: 24 * 3600 },
+    { name: "sms_monthly_cap", key: "budget:sms-month", limit: cfg.SMS_MONTHLY_CAP, windowSeconds: 30 * 24 * 3600 },
+  ];
+}
+
+async function apiStart(request, env, ctx) {
+  const cfg = getCfg(env);
+  const lang = pickLocale(request);
+  const ip = request.headers.get("CF-Connecting-IP") || "0.0.0.0";
+
+  // Body
+  let body;
+  try { body = await request.json(); } catch { body = {}; }
+  const phrase = (body.phrase || "").toString();
+  const factor = body.factor === "totp" ? "totp" : "sms";
+
+  const pwLimit = await rateLimit(env, [{ name: "phrase", key: `pw:${ip}`, limit: PW_MAX_ATTEMPTS, windowSeconds: PW_WINDOW_SECONDS }]);
+  if (!pwLimit.ok) {
+    recordEvent(env, ctx, request, "phrase", { result: "limited" });
+    return rateLimitedJson(lang, "phrase_rate_limited", pwLimit.retryAfter);
+  }
+
+  // 人机验证：服务端校验通过之前不核对密语，更不会发短信
+  const signals = await challengeSignals(env, request, pwLimit.counts?.[0] || 0);
+  if (signals.length) {
+    const code = signals.join(",");
+    const token = typeof body.turnstile === "string" ? body.turnstile : "";
+    if (!token) {
+      recordEvent(env, ctx, request, "challenge", { result: "required", code });
+      return jsonError(lang, "challenge_required", 403, { extra: { challenge: code } });
+    }
+    const check = await verifyTurnstile(env, token, ip);
+    if (!check.ok) {
+      recordEvent(env, ctx, request, "challenge", { result: check.unavailable ? "error" : "fail", code, message: check.reason });
+      if (check.unavailable) return jsonError(lang, "challenge_unavailable", 503);
+      return jsonError(lang, "challenge_failed", 403, { extra: { challenge: code } });
+    }
+    recordEvent(env, ctx, request, "challenge", { result: "pass", code });
+  }
+
+  // 密语 -> 身份（每个身份有自己的手机号 / 免登录天数）
+  const identity = await findIdentityByPhrase(env, phrase);
+  if (!identity) {
+    recordEvent(env, ctx, request, "phrase", { result: "bad" });
+    return jsonError(lang, "phrase_invalid", 401);
+  }
+  recordEvent(env, ctx, request, "phrase", { result: "ok", identity: identity.name });
+
+  // sid：用于绑定“已通过密语”的短会话
+  const sid = crypto.randomUUID();
+  const now = Date.now();
+  const sidRecord = { ok: true, ts: now, identity: identity.name };
+  let message;
+
+  if (factor === "totp") {
+    // 验证器 App：不发短信，sid 标记为 totp，verify 时按 TOTP 校验
+    if (!totpEnabled(env) || !await getTotp(env, identity.name)) {
+      return jsonError(lang, "totp_not_enrolled", 400);
+    }
+    sidRecord.factor = "totp";
+    await env.OTP_KV.put(`sid:${sid}`, JSON.stringify(sidRecord), { expirationTtl: cfg.SID_TTL_SECONDS });
+    message = t(lang, "start.totp");
+  } else {
+    const sent = await sendSmsCode(request, env, ctx, identity, { lang, ip });
+    if (sent.error) return sent.error;
+
+    sidRecord.factor = "sms";
+    sidRecord.provider = sent.provider;
+    sidRecord.sentAt = sent.sentAt;
+    await env.OTP_KV.put(`sid:${sid}`, JSON.stringify(sidRecord), { expirationTtl: cfg.SID_TTL_SECONDS });
+    message = t(lang, "start.sms_sent");
+  }
+
+  // 设置 sid cookie（让前端进入验证码页；并用于 verify）
+  const headers = new Headers({ "cache-control": "no-store" });
+  headers.append("set-cookie", sidCookie(env, sid));
+  // 清 public 模式
+  headers.append("set-cookie", cookie("cf_mode", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+
+  const resend = sidRecord.sentAt ? smsNextAllowed(env, sidRecord.sentAt) : {};
+  return json({ ok: true, message, factor: sidRecord.factor, ...resend }, 200, headers);
+}
+
+function sidCookie(env, sid) {
+  return cookie("cf_sid", sid, {
+    httpOnly: true,
+    secure: true,
+    sameSite: "Lax",
+    path: "/",
+    maxAge: getCfg(env).SID_TTL_SECONDS,
+    domain: env.COOKIE_DOMAIN,
+  });
+}
+
+// 发短信（start / resend 共用）：后台暂停、冷却、额度都在这里；失败时返回 { error: Response }
+async function sendSmsCode(request, env, ctx, identity, { lang, ip, resend = false }) {
+  const note = resend ? "resend" : undefined;
+
+  // 后台临时关闭了短信发送
+  if (await smsPausedUntil(env)) {
+    recordEvent(env, ctx, request, "sms", { result: "paused", identity: identity.name, message: note });
+    return { error: jsonError(lang, "sms_paused", 503) };
+  }
+
+  // 发送冷却 + 全站额度（本地层面再控一次，防止有人刷你短信额度）；先占名额，发送失败再退回
+  const smsRules = await smsRateRules(env, ip, identity);
+  const smsLimit = await rateLimit(env, smsRules);
+  if (!smsLimit.ok) {
+    const budget = smsLimit.blocked === "sms_daily_cap" || smsLimit.blocked === "sms_monthly_cap";
+    recordEvent(env, ctx, request, "sms", { result: budget ? "budget" : "cooldown", identity: identity.name, code: smsLimit.blocked, message: note });
+    const now = Date.now();
+    return {
+      error: rateLimitedJson(lang, budget ? "sms_budget_exhausted" : "sms_cooldown", smsLimit.retryAfter, {
+        extra: { nextAllowedAt: now + smsLimit.retryAfter * 1000, now },
+      }),
+    };
+  }
+
+  // 发送验证码（具体走哪家由 OTP_PROVIDER 决定，默认阿里云 PNVS）
+  const provider = getOtpProvider(env);
+  const host = new URL(request.url).hostname;
+  const sendResp = await provider.send(env, { phone: identity.phone, countryCode: identity.countryCode, host });
+  if (!sendResp.ok) {
+    await rateLimitUndo(env, smsRules, smsLimit.at);
+    const err = providerError(sendResp);
+    recordEvent(env, ctx, request, "sms", { result: "fail", identity: identity.name, provider: provider.name, code: err.code, message: sendResp.message });
+    return {
+      error: jsonError(lang, "sms_send_failed", 502, {
+        messageKey: `sms_error.${err.reason}`,
+        params: { code: err.code },
+        extra: { reason: err.reason, code: err.code },
+      }),
+    };
+  }
+  recordEvent(env, ctx, request, "sms", { result: "ok", identity: identity.name, provider: provider.name, code: sendResp.data?.Code || "OK", message: note });
+  return { provider: provider.name, sentAt: Date.now() };
+}
+
+// 同一个 sid 两次发送的最短间隔：阿里云的 Interval 和本地冷却取长的
+function smsNextAllowed(env, sentAt) {
+  const cfg = getCfg(env);
+  return { nextAllowedAt: sentAt + Math.max(cfg.INTERVAL_SECONDS, cfg.SMS_COOLDOWN_SECONDS) * 1000, now: Date.now() };
+}
+
+// ----------------------- API：resend（同一个 sid 重新发短信） -----------------------
+//
+// 只认 start 发过短信的 cf_sid：距上次发送不到 max(INTERVAL_SECONDS, SMS_COOLDOWN_SECONDS) 直接 429，
+// 之后和 start 一样过后台暂停、冷却、同号码每小时上限和全站额度。成功后 sid 和 cf_sid 的有效期从现在重新算，
+// 核验次数不重置（还是同一个 sid）。
+// start / resend 的成功响应和冷却中的 429 都带 nextAllowedAt（毫秒时间戳）和 now（服务器时间），前端按服务器时间倒计时。
+
+async function apiResend(request, env, ctx) {
+  const cfg = getCfg(env);
+  const lang = pickLocale(request);
+  const ip = request.headers.get("CF-Connecting-IP") || "0.0.0.0";
+  const cookies = parseCookies(request.headers.get("Cookie") || "");
+  const sid = cookies["cf_sid"];
+  if (!sid) return jsonError(lang, "sid_missing", 400);
+
+  const sidInfo = safeJsonParse(await env.OTP_KV.get(`sid:${sid}`));
+  if (!sidInfo) return jsonError(lang, "sid_expired", 410);
+  if (sidInfo.factor !== "sms") return jsonError(lang, "resend_not_sms", 400);
+
+  const next = smsNextAllowed(env, sidInfo.sentAt || sidInfo.ts);
+  if (next.now < next.nextAllowedAt) {
+    return rateLimitedJson(lang, "sms_cooldown", Math.ceil((next.nextAllowedAt - next.now) / 1000), { extra: next });
+  }
+
+  const identity = await getIdentity(env, sidInfo.identity ?? DEFAULT_IDENTITY_NAME);
+  if (!identity) return jsonError(lang, "sid_expired", 410);
+
+  const sent = await sendSmsCode(request, env, ctx, identity, { lang, ip, resend: true });
+  if (sent.error) return sent.error;
+
+  // 按当前配置的 provider 发的，核验也要用它
+  const record = { ...sidInfo, provider: sent.provider, sentAt: sent.sentAt, resends: (sidInfo.resends || 0) + 1 };
+  await env.OTP_KV.put(`sid:${sid}`, JSON.stringify(record), { expirationTtl: cfg.SID_TTL_SECONDS });
+
+  const headers = new Headers({ "cache-control": "no-store" });
+  headers.append("set-cookie", sidCookie(env, sid));
+  return json({ ok: true, message: t(lang, "resend.sent"), ...smsNextAllowed(env, sent.sentAt) }, 200, headers);
+}
+
+// ----------------------- API：verify（交给 provider 核验验证码） -----------------------
+
+// 核验次数（每次都会调用 provider）：同一个 sid 最多 VERIFY_MAX_ATTEMPTS 次，用完作废，只能重新走密语；
+// 同一个 IP 另有几档越来越长的窗口，反复试错的 IP 锁得越来越久。核验通过的那次不算。
+const VERIFY_MAX_ATTEMPTS = 5;
+const VERIFY_IP_TIERS = [
+  { limit: 10, windowSeconds: 15 * 60 },
+  { limit: 20, windowSeconds: 2 * 3600 },
+  { limit: 40, windowSeconds: 24 * 3600 },
+];
+
+function verifyRateRules(env, sid, ip) {
+  return [
+    { name: "verify_sid", key: `verify:${sid}`, limit: VERIFY_MAX_ATTEMPTS, windowSeconds: getCfg(env).SID_TTL_SECONDS },
+    ...VERIFY_IP_TIERS.map((t, i) => ({ name: "verify_ip", key: `verify-ip${i}:${ip}`, ...t })),
+  ];
+}
+
+async function apiVerify(request, env, ctx) {
+  const lang = pickLocale(request);
+  const cookies = parseCookies(request.headers.get("Cookie") || "");
+  const sid = cookies["cf_sid"];
+  if (!sid) return jsonError(lang, "sid_missing", 400);
+
+  const sidState = await env.OTP_KV.get(`sid:${sid}`);
+  if (!sidState) return jsonError(lang, "sid_expired", 410);
+
+  let body;
+  try { body = await request.json(); } catch { body = {}; }
+  const code = (body.code || "").toString().trim();
+  if (!/^[0-9A-Za-z]{4,8}$/.test(code)) {
+    return jsonError(lang, "code_invalid_format", 400);
+  }
+
+  // 先占一次核验名额（原子），并发猜码也不会超
+  const ip = request.headers.get("CF-Connecting-IP") || "0.0.0.0";
+  const verifyRules = verifyRateRules(env, sid, ip);
+  const verifyLimit = await rateLimit(env, verifyRules);
+  if (!verifyLimit.ok) {
+    recordEvent(env, ctx, request, "verify", { result: "locked", code: verifyLimit.blocked });
+    if (verifyLimit.blocked === "verify_sid") return verifyExhausted(env, lang, sid);
+    return rateLimitedJson(lang, "verify_locked", verifyLimit.retryAfter, {
+      params: { minutes: Math.ceil(verifyLimit.retryAfter / 60) },
+      extra: { attempts: { remaining: 0, max: VERIFY_MAX_ATTEMPTS } },
+    });
+  }
+
+  // 核验：用发码时的同一个 provider 和身份（防止中途切换配置导致对不上）
+  const sidInfo = safeJsonParse(sidState) || {};
+  const identity = await getIdentity(env, sidInfo.identity ?? DEFAULT_IDENTITY_NAME);
+  if (!identity) return jsonError(lang, "sid_expired", 410);
+
+  const provider = sidInfo.factor === "totp" ? TOTP_FACTOR : getOtpProvider(env, sidInfo.provider);
+  const host = new URL(request.url).hostname;
+  const checkResp = await provider.check(env, { phone: identity.phone, countryCode: identity.countryCode, code, host, identity: identity.name });
+  if (!checkResp.ok) {
+    // provider 自己出错不算用户试错
+    await rateLimitUndo(env, verifyRules, verifyLimit.at);
+    const err = providerError(checkResp);
+    recordEvent(env, ctx, request, "verify", { result: "error", identity: identity.name, provider: provider.name, code: err.code, message: checkResp.message });
+    return jsonError(lang, "verify_provider_error", 502, {
+      params: { code: err.code },
+      extra: { reason: err.reason, code: err.code },
+    });
+  }
+  if (!checkResp.pass) {
+    recordEvent(env, ctx, request, "verify", { result: "fail", identity: identity.name, provider: provider.name, remaining: verifyLimit.remaining });
+    if (verifyLimit.counts[0] >= VERIFY_MAX_ATTEMPTS) return verifyExhausted(env, lang, sid);
+    const attempts = { remaining: verifyLimit.remaining, max: VERIFY_MAX_ATTEMPTS };
+    if (!attempts.remaining) return jsonError(lang, "verify_locked", 401, { messageKey: "verify_locked_later", extra: { attempts } });
+    return jsonError(lang, "code_incorrect", 401, { params: attempts, extra: { attempts } });
+  }
+  // 通过的这次不计入 IP 的试错次数
+  await rateLimitUndo(env, verifyRules.slice(1), verifyLimit.at);
+
+  // 成功：删 sid
+  await env.OTP_KV.delete(`sid:${sid}`);
+
+  const { headers, session: sessionRec } = await issueFullAuth(request, env, identity, { remember: body.remember === true });
+  recordEvent(env, ctx, request, "verify", { result: "pass", identity: identity.name, provider: provider.name, session: sessionRec.id });
+
+  // 清 sid
+  headers.append("set-cookie", cookie("cf_sid", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+
+  // passkey / totp 为 true -> 前端询问要不要创建通行密钥、绑定验证器 App
+  const offerTotp = totpEnabled(env) && !await getTotp(env, identity.name);
+  return json({ ok: true, message: t(lang, "verify.ok"), passkey: passkeyEnabled(env), totp: offerTotp }, 200, headers);
+}
+
+// sid 的核验次数用完：作废 sid，前端回到密语页重新来
+async function verifyExhausted(env, lang, sid) {
+  await env.OTP_KV.delete(`sid:${sid}`);
+  const headers = new Headers();
+  headers.append("set-cookie", cookie("cf_sid", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  return jsonError(lang, "verify_attempts_exhausted", 410, {
+    extra: { attempts: { remaining: 0, max: VERIFY_MAX_ATTEMPTS }, restart: true },
+    headers,
+  });
+}
+
+// ----------------------- 模式切换 -----------------------
+
+function enterPublicMode(request, env, ctx) {
+  recordEvent(env, ctx, request, "public", { result: "enter" });
+  const headers = new Headers({ "cache-control": "no-store", "location": "/" });
+  headers.append("set-cookie", cookie("cf_mode", "public", {
+    httpOnly: true,
+    secure: true,
+    sameSite: "Lax",
+    path: "/",
+    maxAge: 7 * 24 * 3600,
+    domain: env.COOKIE_DOMAIN,
+  }));
+  // 清掉其他状态
+  headers.append("set-cookie", cookie("cf_sid", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  headers.append("set-cookie", cookie("cf_auth", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  return new Response(null, { status: 302, headers });
+}
+
+async function logout(request, env, ctx) {
+  // 服务端会话一起删掉，这个 cookie 即使被复制走也没用了
+  const session = await requireAuth(request, env);
+  if (session?.sessionId) await revokeSession(env, session.sessionId);
+  recordEvent(env, ctx, request, "logout", { result: session ? "ok" : "anonymous", identity: session?.identity, session: session?.sessionId || undefined });
+
+  const headers = new Headers({ "cache-control": "no-store", "location": "/__gate" });
+  headers.append("set-cookie", cookie("cf_auth", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  headers.append("set-cookie", cookie("cf_sid", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  headers.append("set-cookie", cookie("cf_mode", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  return new Response(null, { status: 302, headers });
+}
+
+// ----------------------- 邀请链接（不用密语和短信） -----------------------
+//
+// 管理后台生成 /__invite/<id>.<sig>，sig = base64url(HMAC-SHA256(cf_auth 的签名钥匙, `invite.${id}`))，钥匙串里任何一把签的都认。
+// invite:<id> -> { id, label, scope, maxUses, uses, ttlHours, createdAt, expiresAt, revokedAt, usedBy: [{ t, ip, country, userAgent, session }] }
+// metadata 里只放定长的小摘要（KV 的 metadata 上限 1024 字节，scope / usedBy 放不下），列表时按它排序再逐个 get；
+// 链接过期后再保留 INVITE_KEEP_DAYS 天方便查记录。
+//
+// 打开链接只看到确认页（GET 不消耗次数，聊天软件的链接预览不会把次数用掉），点「进入」才 POST 兑换：
+// 登记一个身份为 invite:<id> 的会话，签发 scope 为 "invite" 的 cf_auth，有效期 ttlHours（默认 24 小时，不超过 AUTH_TTL_DAYS），空闲超时照常。
+// scope 是 "full" 时和正常解锁一样；是路径列表时只放行这些路径（写法同 pathMatches），其他路径照旧给验证页。
+// 每次访问都会查邀请记录：吊销邀请 = 用它进来的人一起失效（KV 最终一致，约 60 秒）。链接过期不影响已经进来的人。
+// 邀请进来的会话不能添加通行密钥 / 验证器 App。
+// 次数先在限流器里计（inviteUseRule），绑定了 RATE_LIMITER 时检查和计数是原子的，几乎同时兑换也不会超过 maxUses；
+// 没绑定时退回 KV 计数，maxUses 只是尽力而为，几乎同时兑换可能多放进一个人。邀请记录里的 uses / usedBy 只是给人看的。
+
+const INVITE_LINK_HOURS = 72;
+const INVITE_SESSION_HOURS = 24;
+const INVITE_KEEP_DAYS = 30;
+const INVITE_USED_BY_MAX = 20;
+const INVITE_SCOPE_MAX = 10;
+const INVITE_META_LABEL_MAX = 24;
+
+async function inviteSignature(id, key) {
+  return base64UrlEncode(await hmacSha256(key.secret, `invite.${id}`));
+}
+
+async function inviteUrl(env, origin, id) {
+  const [key] = await authKeys(env);
+  return `${origin}/__invite/${id}.${await inviteSignature(id, key)}`;
+}
+
+// 签名对得上返回邀请 id，否则 null
+async function parseInviteToken(env, token) {
+  const m = /^([\w-]{16,64})\.([\w-]+)$/.exec(token);
+  if (!m) return null;
+  for (const key of await authKeys(env)) {
+    if (timingSafeEqual(m[2], await inviteSignature(m[1], key))) return m[1];
+  }
+  return null;
+}
+
+// "full" 或路径列表（逗号分隔的字符串也行）
+function normalizeInviteScope(v) {
+  if (v === AUTH_SCOPE_FULL) return AUTH_SCOPE_FULL;
+  const paths = (Array.isArray(v) ? v.map(String) : splitList(v))
+    .map(p => p.trim())
+    .filter(p => p.startsWith("/") && p.length <= 100)
+    .slice(0, INVITE_SCOPE_MAX);
+  return paths.length ? paths : AUTH_SCOPE_FULL;
+}
+
+async function createInvite(env, { label, hours, maxUses, ttlHours, scope } = {}) {
+  const cfg = getCfg(env);
+  const now = Date.now();
+  const invite = {
+    id: base64UrlEncode(crypto.getRandomValues(new Uint8Array(16))),
+    label: String(label || "").trim().slice(0, 60),
+    scope: normalizeInviteScope(scope),
+    maxUses: Math.max(1, Math.floor(num(maxUses, 1))),
+    uses: 0,
+    ttlHours: Math.min(Math.max(1, num(ttlHours, INVITE_SESSION_HOURS)), cfg.AUTH_TTL_DAYS * 24),
+    createdAt: now,
+    expiresAt: now + Math.max(1, num(hours, INVITE_LINK_HOURS)) * 3600 * 1000,
+    revokedAt: 0,
+    usedBy: [],
+  };
+  await putInvite(env, invite);
+  return invite;
+}
+
+async function putInvite(env, invite) {
+  const ttl = Math.max(60, Math.ceil((invite.expiresAt - Date.now()) / 1000) + INVITE_KEEP_DAYS * 24 * 3600);
+  const metadata = {
+    id: invite.id,
+    label: invite.label.slice(0, INVITE_META_LABEL_MAX),
+    uses: invite.uses,
+    maxUses: invite.maxUses,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    revokedAt: invite.revokedAt,
+  };
+  await env.OTP_KV.put(`invite:${invite.id}`, JSON.stringify(invite), { expirationTtl: ttl, metadata });
+}
+
+async function getInvite(env, id) {
+  if (typeof id !== "string" || !id) return null;
+  return safeJsonParse(await env.OTP_KV.get(`invite:${id}`));
+}
+
+// 完整记录（新的在前），带 lastUsed（最近一次使用）
+async function listInvites(env) {
+  const ids = [];
+  let cursor;
+  do {
+    const page = await env.OTP_KV.list({ prefix: "invite:", cursor });
+    for (const k of page.keys) if (k.metadata) ids.push(k.metadata);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  ids.sort((a, b) => b.createdAt - a.createdAt);
+  const invites = await Promise.all(ids.map(m => getInvite(env, m.id)));
+  return invites.filter(Boolean).map(it => ({ ...it, lastUsed: it.usedBy.at(-1) || null }));
+}
+
+async function revokeInvite(env, id) {
+  const invite = await getInvite(env, id);
+  if (!invite || invite.revokedAt) return;
+  await putInvite(env, { ...invite, revokedAt: Date.now() });
+}
+
+// ok | revoked | expired | used_up
+function inviteStatus(invite, now = Date.now()) {
+  if (invite.revokedAt) return "revoked";
+  if (now >= invite.expiresAt) return "expired";
+  if (invite.uses >= invite.maxUses) return "used_up";
+  return "ok";
+}
+
+// 邀请会话的身份：名字固定为 invite:<id>，有效期按邀请的 ttlHours
+function inviteIdentity(invite) {
+  return { name: `invite:${invite.id}`, authTtlDays: invite.ttlHours / 24 };
+}
+
+// 兑换次数的限流规则：窗口盖住链接的整个有效期，满 maxUses 次就拒绝
+function inviteUseRule(invite) {
+  const windowSeconds = Math.ceil((invite.expiresAt - invite.createdAt) / 1000) + 60;
+  return { name: "invite_uses", key: `invite:${invite.id}`, limit: invite.maxUses, windowSeconds };
+}
+
+// 只放行部分路径的邀请，进来后先到第一条路径（去掉通配部分）
+function inviteLanding(invite) {
+  if (invite.scope === AUTH_SCOPE_FULL) return "/";
+  const first = invite.scope[0];
+  const i = first.indexOf("*");
+  return i < 0 ? first : first.slice(0, first.lastIndexOf("/", i) + 1) || "/";
+}
+
+// GET /__invite/<token> 确认页；POST 兑换
+async function handleInvite(request, env, ctx) {
+  const token = new URL(request.url).pathname.slice("/__invite/".length);
+  const id = await parseInviteToken(env, token);
+  const invite = id && await getInvite(env, id);
+  const status = invite ? inviteStatus(invite) : "invalid";
+
+  if (request.method !== "POST") return invitePage(request, env, status);
+  if (status !== "ok") {
+    recordEvent(env, ctx, request, "invite", { result: "fail", code: status, message: invite?.label });
+    return invitePage(request, env, status);
+  }
+
+  // 先占一次名额：两个人同时点「进入」抢最后一次时，只有一个能拿到
+  const useRule = inviteUseRule(invite);
+  const claim = await rateLimit(env, [useRule]);
+  if (!claim.ok) {
+    recordEvent(env, ctx, request, "invite", { result: "fail", code: "used_up", message: invite.label });
+    return invitePage(request, env, "used_up");
+  }
+
+  // 再记下这次使用、最后签发 cookie：记录写失败时不会白白放人进去，占的名额也还回去
+  const identity = inviteIdentity(invite);
+  const sessionId = crypto.randomUUID();
+  const now = Date.now();
+  try {
+    await putInvite(env, {
+      ...invite,
+      uses: Math.max(invite.uses + 1, claim.counts?.[0] || 0),
+      usedBy: [...invite.usedBy, {
+        t: now,
+        ip: request.headers.get("CF-Connecting-IP") || "",
+        country: request.cf?.country || "",
+        userAgent: (request.headers.get("User-Agent") || "").slice(0, 200),
+        session: sessionId,
+      }].slice(-INVITE_USED_BY_MAX),
+    });
+  } catch (err) {
+    await rateLimitUndo(env, [useRule], claim.at);
+    throw err;
+  }
+  const { headers, session } = await issueFullAuth(request, env, identity, { invite, sessionId });
+  recordEvent(env, ctx, request, "invite", { result: "use", identity: identity.name, session: session.id, message: invite.label });
+
+  headers.set("location", inviteLanding(invite));
+  return new Response(null, { status: 303, headers });
+}
+
+// ----------------------- 限流（Durable Object，KV 兜底） -----------------------
+//
+// 一条规则：{ name, key, limit, windowSeconds }，滑动窗口——记下窗口内每次放行的时间戳，
+// 满 limit 次就拒绝，直到最早的那次滑出窗口（Retry-After 就是这个时间）。limit 填 0 表示不限。
+// 一次调用里的多条规则一起判断：有一条超限就整体拒绝，都不计数。
+//
+// 绑定了 RATE_LIMITER（Durable Object，类名 RateLimiter）时，所有计数都在同一个实例里，
+// 读-改-写不会被并发请求打断，全站的短信额度也能算准；
+// 没绑定（或调用出错）时退回 KV 的 rl:<key>，KV 是读后写 + 最终一致，并发请求可能多放过几次。
+
+const RATE_LIMITER_INSTANCE = "global";
+// Durable Object 里过期计数的清理间隔
+const RATE_LIMITER_SWEEP_MS = 60 * 60 * 1000;
+
+// 放行：{ ok: true, at, counts, remaining }（at 可用于 rateLimitUndo，remaining 是所有规则里最少还剩几次）；
+// 拒绝：{ ok: false, blocked: 规则 name, retryAfter: 秒 }
+async function rateLimit(env, rules) {
+  return rateLimitCall(env, { op: "hit", rules: activeRateRules(rules) });
+}
+
+// 撤销某次放行（比如短信没发出去，不占冷却和额度）
+async function rateLimitUndo(env, rules, at) {
+  return rateLimitCall(env, { op: "undo", rules: activeRateRules(rules), at });
+}
+
+// 只看不计数：返回每条规则窗口内的次数
+async function rateLimitPeek(env, rules) {
+  return rateLimitCall(env, { op: "peek", rules: activeRateRules(rules) });
+}
+
+async function rateLimitReset(env, keys) {
+  return rateLimitCall(env, { op: "reset", keys });
+}
+
+// 列出某个前缀下的计数：[{ key, n, limit, last, blockedUntil }]
+async function rateLimitList(env, prefix) {
+  return rateLimitCall(env, { op: "list", prefix });
+}
+
+function activeRateRules(rules) {
+  return rules.filter(r => r && r.limit > 0 && r.windowSeconds > 0);
+}
+
+async function rateLimitCall(env, req) {
+  if (env.RATE_LIMITER) {
+    try {
+      const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(RATE_LIMITER_INSTANCE));
+      const resp = await stub.fetch("https://rate-limiter/", { method: "POST", body: JSON.stringify(req) });
+      if (resp.ok) return await resp.json();
+      console.error(`[gate] RateLimiter 返回 ${resp.status}，改用 KV 计数`);
+    } catch (err) {
+      console.error(`[gate] RateLimiter 调用失败，改用 KV 计数：${err}`);
+    }
+  }
+  return rateLimitKv(env, req);
+}
+
+// 纯计算：states 和 rules 一一对应，返回判断结果和新的状态
+function applyRateRules(states, rules, now, consume) {
+  let retryMs = 0;
+  let blocked = null;
+  const next = rules.map((r, i) => {
+    const w = r.windowSeconds * 1000;
+    const t = (Array.isArray(states[i]?.t) ? states[i].t : []).filter(x => now - x < w);
+    if (t.length >= r.limit) {
+      const wait = t[t.length - r.limit] + w - now;
+      if (!blocked || wait > retryMs) { retryMs = wait; blocked = r.name || r.key; }
+    }
+    return { w, l: r.limit, t };
+  });
+  if (!blocked && consume) for (const s of next) s.t.push(now);
+  return {
+    ok: !blocked,
+    blocked: blocked || undefined,
+    retryAfter: blocked ? Math.max(1, Math.ceil(retryMs / 1000)) : 0,
+    counts: next.map(s => s.t.length),
+    // 所有规则里最少还剩几次
+    remaining: blocked ? 0 : Math.min(...next.map(s => Math.max(0, s.l - s.t.length))),
+    next,
+  };
+}
+
+// 计数什么时候降回 limit 以下（没满就是 0）
+function rateStateSummary(key, s, now) {
+  const t = (Array.isArray(s?.t) ? s.t : []).filter(x => now - x < s.w);
+  const blockedUntil = t.length >= s.l ? t[t.length - s.l] + s.w : 0;
+  return { key, n: t.length, limit: s.l, last: t[t.length - 1] || 0, blockedUntil };
+}
+
+async function rateLimitKv(env, req) {
+  const now = Date.now();
+  const kvKey = key => `rl:${key}`;
+  // 限流计数所有站点共用，不走站点自己的 KV 前缀
+  const kv = env.SHARED_KV || env.OTP_KV;
+
+  if (req.op === "reset") {
+    await Promise.all(req.keys.map(k => kv.delete(kvKey(k))));
+    return { ok: true };
+  }
+  if (req.op === "list") {
+    const out = [];
+    let cursor;
+    do {
+      const page = await kv.list({ prefix: kvKey(req.prefix), cursor });
+      for (const k of page.keys) {
+        const m = k.metadata;
+        // 旧版计数（纯数字）没有这些字段，跳过
+        if (!m || !m.w || now - m.last >= m.w) continue;
+        out.push({ key: k.name.slice(3), n: m.n, limit: m.l, last: m.last, blockedUntil: m.blockedUntil > now ? m.blockedUntil : 0 });
+      }
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+    return out;
+  }
+
+  const states = await Promise.all(req.rules.map(r => kv.get(kvKey(r.key)).then(safeJsonParse)));
+  if (req.op === "undo") {
+    await Promise.all(req.rules.map((r, i) => {
+      const s = states[i];
+      if (!s || !Array.isArray(s.t)) return null;
+      s.t = s.t.filter(x => x !== req.at);
+      return putRateStateKv(kv, kvKey(r.key), s);
+    }));
+    return { ok: true };
+  }
+
+  const result = applyRateRules(states, req.rules, now, req.op === "hit");
+  if (req.op === "hit" && result.ok) {
+    await Promise.all(req.rules.map((r, i) => putRateStateKv(kv, kvKey(r.key), result.next[i])));
+  }
+  return { ok: result.ok, blocked: result.blocked, retryAfter: result.retryAfter, counts: result.counts, remaining: result.remaining, at: now };
+}
+
+async function putRateStateKv(kv, key, s) {
+  // 摘要放 metadata，后台列表时不用逐个 get（写入后没有新计数，blockedUntil 一直准确）
+  const { n, limit, last, blockedUntil } = rateStateSummary(key, s, Date.now());
+  await kv.put(key, JSON.stringify(s), {
+    expirationTtl: Math.max(60, Math.ceil(s.w / 1000)),
+    metadata: { w: s.w, l: limit, n, last, blockedUntil },
+  });
+}
+
+// Durable Object：wrangler.toml 里绑定为 RATE_LIMITER。
+// 同一个实例里的请求一个接一个处理，存储读写期间不会插进别的请求，所以这里的读-改-写是原子的。
+export class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  async fetch(request) {
+    const req = await request.json();
+    const now = Date.now();
+
+    if (req.op === "reset") {
+      await this.storage.delete(req.keys);
+      return json({ ok: true });
+    }
+    if (req.op === "list") {
+      const all = await this.storage.list({ prefix: req.prefix });
+      return json([...all].map(([key, s]) => rateStateSummary(key, s, now)).filter(s => s.n > 0));
+    }
+
+    const rules = req.rules || [];
+    const stored = rules.length ? await this.storage.get(rules.map(r => r.key)) : new Map();
+    const states = rules.map(r => stored.get(r.key));
+
+    if (req.op === "undo") {
+      const entries = {};
+      rules.forEach((r, i) => {
+        if (states[i]) entries[r.key] = { ...states[i], t: states[i].t.filter(x => x !== req.at) };
+      });
+      if (Object.keys(entries).length) await this.storage.put(entries);
+      return json({ ok: true });
+    }
+
+    const result = applyRateRules(states, rules, now, req.op === "hit");
+    if (req.op === "hit" && result.ok && rules.length) {
+      await this.storage.put(Object.fromEntries(rules.map((r, i) => [r.key, result.next[i]])));
+      if (!await this.storage.getAlarm()) await this.storage.setAlarm(now + RATE_LIMITER_SWEEP_MS);
+    }
+    return json({ ok: result.ok, blocked: result.blocked, retryAfter: result.retryAfter, counts: result.counts, remaining: result.remaining, at: now });
+  }
+
+  // 定期清掉窗口里已经没有记录的 key
+  async alarm() {
+    const now = Date.now();
+    const all = await this.storage.list();
+    const stale = [...all].filter(([, s]) => !s.t?.some(x => now - x < s.w)).map(([key]) => key);
+    for (let i = 0; i < stale.length; i += 128) await this.storage.delete(stale.slice(i, i + 128));
+    if (all.size > stale.length) await this.storage.setAlarm(now + RATE_LIMITER_SWEEP_MS);
+  }
+}
+
+// 429 + Retry-After
+function rateLimitedJson(lang, error, retryAfter, { params, extra, messageKey } = {}) {
+  return jsonError(lang, error, 429, {
+    params,
+    messageKey,
+    extra: { ...extra, retryAfter },
+    headers: new Headers({ "retry-after": String(retryAfter) }),
+  });
+}
+
+// ----------------------- 身份表（密语 -> 收件人） -----------------------
+//
+// IDENTITIES（env，JSON）或 KV 里的 config:identities，格式：
+// [{ "name": "xx", "passphrases": ["密语1", "密语2"], "phone": "138...", "countryCode": "86", "authTtlDays": 7 }]
+// countryCode / authTtlDays 可省略，默认取 COUNTRY_CODE / AUTH_TTL_DAYS。
+// 两处都没配时，退回旧的单人模式：PASSPHRASE + TARGET_PHONE，身份名为 default。
+
+const DEFAULT_IDENTITY_NAME = "default";
+
+async function loadIdentities(env) {
+  const cfg = getCfg(env);
+  let raw = env.IDENTITIES;
+  if (!raw) raw = await env.OTP_KV.get("config:identities", { cacheTtl: 60 });
+
+  let list;
+  if (raw) {
+    const parsed = typeof raw === "string" ? safeJsonParse(raw) : raw;
+    if (!Array.isArray(parsed)) {
+      // 配错了就谁也进不来（fail closed），而不是退回 PASSPHRASE
+      console.error("[gate] IDENTITIES 不是合法的 JSON 数组");
+      return [];
+    }
+    list = parsed;
+  } else {
+    const hashes = (env.PASSPHRASE_HASHES || "").split(/[\s,]+/).filter(Boolean);
+    list = [{ name: DEFAULT_IDENTITY_NAME, passphrases: [env.PASSPHRASE, ...hashes], phone: env.TARGET_PHONE }];
+  }
+
+  return list
+    .filter(it => it && typeof it.name === "string" && it.name)
+    .map(it => ({
+      name: it.name,
+      passphrases: (Array.isArray(it.passphrases) ? it.passphrases : [it.passphrase])
+        .filter(p => typeof p === "string" && p.length > 0),
+      phone: it.phone ? String(it.phone) : "",
+      countryCode: it.countryCode ? String(it.countryCode) : cfg.COUNTRY_CODE,
+      authTtlDays: num(it.authTtlDays, cfg.AUTH_TTL_DAYS),
+    }));
+}
+
+async function getIdentity(env, name) {
+  const list = await loadIdentities(env);
+  return list.find(it => it.name === name) || null;
+}
+
+async function findIdentityByPhrase(env, phrase) {
+  if (!phrase) return null;
+  const list = await loadIdentities(env);
+  const defaultSteps = passphraseSteps(env.PASSPHRASE_NORMALIZE ?? DEFAULT_PASSPHRASE_NORMALIZE);
+  // 全部比一遍再返回，不因命中位置不同而泄露耗时差异。
+  // 每个 pbkdf2 条目每次都要算满它的迭代次数：CPU 时间 ≈ 条目总数 × 迭代次数，条目多时用 sha256 或调低迭代次数
+  let found = null;
+  for (const it of list) {
+    for (const p of it.passphrases) {
+      if (await passphraseMatches(phrase, p, defaultSteps) && !found) found = it;
+    }
+  }
+  return found;
+}
+
+// ----------------------- 密语校验（规范化 + 哈希） -----------------------
+//
+// 答案的格式（pbkdf2-sha256$… / sha256$… / 明文）、规范化步骤和比对都在 passphrase.js（和 scripts/hash-passphrase.mjs 共用，有测试），
+// 这里只按 PASSPHRASE_NORMALIZE 取明文条目的规范化步骤，在 findIdentityByPhrase 里逐条比对。
+
+// ----------------------- Cookie 签名（放行完整版） -----------------------
+//
+// cf_auth 是 JWS 风格的三段：base64url(header).base64url(payload).base64url(HMAC-SHA256(`${header}.${payload}`))
+//   header  = { alg: "HS256", typ: "gate", v: 2, kid }
+//   payload = { sub: 身份名, sid: 会话id, scope: "full" | "invite", inv?, iat, exp, abs, dev? }（秒）
+//   scope 为 invite 的是邀请链接换来的，inv 是邀请 id，能访问的路径以邀请记录为准（见「邀请链接」）
+// 上游站点可以直接解开第二段知道是谁解锁的（签名只有 Worker 能验）。
+//
+// 有效期分两层：abs 是最长期限（iat + AUTH_TTL_DAYS），到了就必须重新验证；exp 是空闲期限（SESSION_IDLE_HOURS），
+// 访问时距上次签发超过 SESSION_REFRESH_MINUTES 就在放行的响应上换发一张 exp 往后推的新 token（不超过 abs）。
+// 勾选「记住这台设备」的：abs = iat + REMEMBER_DEVICE_DAYS，没有空闲期限，并且绑定到 cf_device cookie 里的设备 id
+// （token 里只放它的摘要 dev），只拷走 cf_auth 换个浏览器用不了。
+//
+// 签名钥匙串：COOKIE_SECRETS = "k2:新密钥,k1:旧密钥"，最前面的是最新的、用来签发；COOKIE_SECRET 算作 kid 为 k0 的一把。
+// 验证时认钥匙串里的任何一把，用旧钥匙签的 cookie 下次访问时自动用最新的重签（abs 不变），
+// 所以轮换 = 把新钥匙加到最前面，等 AUTH_TTL_DAYS 过去再删掉旧的，不会把所有人踢下线。
+//
+// 旧格式 `${ts}.${base64url(身份名)}.${会话id}.${hex}`、`${ts}.${hex}`（default 身份）、`${ts}.${身份}.${hex}`
+// 在 AUTH_LEGACY_UNTIL（日期，不填则一直）之前照认，同样会被重签成新格式；
+// 后两种没有服务端会话，只能被“退出所有设备”按签发时间整体作废。
+
+const AUTH_TOKEN_VERSION = 2;
+const AUTH_SCOPE_FULL = "full";
+const AUTH_SCOPE_INVITE = "invite";
+const COOKIE_SECRET_KID = "k0";
+
+// [{ kid, secret }]，最新的在最前面
+function cookieSecretRing(env) {
+  const ring = [];
+  for (const item of String(env.COOKIE_SECRETS || "").split(/[\s,]+/).filter(Boolean)) {
+    const i = item.indexOf(":");
+    if (i <= 0 || i === item.length - 1) {
+      console.error("[gate] COOKIE_SECRETS 的格式是 kid:secret，逗号分隔，已忽略不合法的一项");
+      continue;
+    }
+    ring.push({ kid: item.slice(0, i), secret: item.slice(i + 1) });
+  }
+  if (env.COOKIE_SECRET && !ring.some(k => k.secret === env.COOKIE_SECRET)) {
+    ring.push({ kid: COOKIE_SECRET_KID, secret: env.COOKIE_SECRET });
+  }
+  return ring;
+}
+
+// 多站点时每个站点用从钥匙派生的密钥（default 站点直接用原钥匙），cf_auth 不能跨站点使用
+async function authKeys(env) {
+  const ring = cookieSecretRing(env);
+  if (!env.SITE_ID || env.SITE_ID === DEFAULT_SITE_ID) return ring;
+  return Promise.all(ring.map(async k => ({ kid: k.kid, secret: await hmacSha256Hex(k.secret, `site.${env.SITE_ID}`) })));
+}
+
+async function signAuthToken(env, claims) {
+  const [key] = await authKeys(env);
+  if (!key) throw new Error("缺少 COOKIE_SECRET / COOKIE_SECRETS");
+  const header = base64UrlEncode(JSON.stringify({ alg: "HS256", typ: "gate", v: AUTH_TOKEN_VERSION, kid: key.kid }));
+  const payload = base64UrlEncode(JSON.stringify(claims));
+  const sig = base64UrlEncode(await hmacSha256(key.secret, `${header}.${payload}`));
+  return `${header}.${payload}.${sig}`;
+}
+
+function authCookie(env, token, maxAge) {
+  return cookie("cf_auth", token, {
+    httpOnly: true,
+    secure: true,
+    sameSite: "Lax",
+    path: "/",
+    maxAge,
+    domain: env.COOKIE_DOMAIN,
+  });
+}
+
+// 登记服务端会话（可单独吊销）并签发 cf_auth；短信、通行密钥和邀请链接共用（邀请的不能记住设备）
+async function issueFullAuth(request, env, identity, { remember = false, invite = null, sessionId } = {}) {
+  const cfg = getCfg(env);
+  remember = remember && !invite && cfg.REMEMBER_DEVICE_DAYS > 0;
+  const ts = Date.now();
+  const iat = Math.floor(ts / 1000);
+  const lifetime = Math.round((remember ? cfg.REMEMBER_DEVICE_DAYS : identity.authTtlDays) * 24 * 3600);
+  const session = await createSession(env, request, identity, ts, { ttlSeconds: lifetime, remember, id: sessionId });
+
+  const claims = { sub: identity.name, sid: session.id, scope: AUTH_SCOPE_FULL, iat, exp: iat + lifetime, abs: iat + lifetime };
+  if (invite) {
+    claims.scope = AUTH_SCOPE_INVITE;
+    claims.inv = invite.id;
+  }
+  const idle = sessionIdleSeconds(cfg, remember);
+  if (idle > 0) claims.exp = Math.min(iat + idle, claims.abs);
+
+  // 被邀请的人不算「本人常用的国家」
+  if (!invite) await rememberCountry(env, request);
+
+  const headers = new Headers({ "cache-control": "no-store" });
+  if (remember) {
+    // 已有设备 id 就沿用，同一台设备的多次「记住」对应同一个 id
+    const cookies = parseCookies(request.headers.get("Cookie") || "");
+    const deviceId = isDeviceId(cookies["cf_device"]) ? cookies["cf_device"] : base64UrlEncode(crypto.getRandomValues(new Uint8Array(18)));
+    claims.dev = await deviceHash(deviceId);
+    headers.append("set-cookie", cookie("cf_device", deviceId, {
+      httpOnly: true,
+      secure: true,
+      sameSite: "Lax",
+      path: "/",
+      maxAge: lifetime,
+      domain: env.COOKIE_DOMAIN,
+    }));
+  }
+
+  const token = await signAuthToken(env, claims);
+  headers.append("set-cookie", authCookie(env, token, claims.exp - iat));
+  return { headers, session };
+}
+
+// 记住设备的会话没有空闲期限
+function sessionIdleSeconds(cfg, remembered) {
+  return remembered ? 0 : Math.max(0, Math.round(cfg.SESSION_IDLE_HOURS * 3600));
+}
+
+function isDeviceId(v) {
+  return typeof v === "string" && /^[\w-]{16,64}$/.test(v);
+}
+
+async function deviceHash(deviceId) {
+  return (await sha256Hex(`device.${deviceId}`)).slice(0, 32);
+}
+
+// 通过返回 { identity, ts, sessionId, record, reissue, scope, invite }，否则 null；
+// reissue 是需要换发的 { token, maxAge }（续期或换钥匙，不需要时为 null）；deviceId 是 cf_device cookie；
+// scope 是 "full" 或邀请限定的路径列表，invite 是邀请 id（不是邀请进来的为 null）
+async function verifyAuthCookie(token, env, deviceId = "") {
+  try {
+    const keys = await authKeys(env);
+    if (!keys.length) return null;
+    const parsed = await parseAuthToken(token, keys) || await parseLegacyAuthToken(token, keys, env);
+    if (!parsed) return null;
+    const { claims, ts } = parsed;
+
+    // 身份被从表里删掉 = 立即失效；邀请进来的看邀请记录，邀请被吊销 = 立即失效
+    const invite = claims.scope === AUTH_SCOPE_INVITE ? await getInvite(env, claims.inv) : null;
+    if (claims.scope === AUTH_SCOPE_INVITE && (!invite || invite.revokedAt)) return null;
+    const identity = invite ? inviteIdentity(invite) : await getIdentity(env, claims.sub);
+    if (!identity || identity.name !== claims.sub) return null;
+
+    // 记住设备的 token 必须和本机的 cf_device 对得上
+    const cfg = getCfg(env);
+    const remembered = !!claims.dev;
+    if (remembered && (cfg.REMEMBER_DEVICE_DAYS <= 0 || !isDeviceId(deviceId) || claims.dev !== await deviceHash(deviceId))) return null;
+
+    // 最长期限再按当前配置算一遍：调短 authTtlDays / REMEMBER_DEVICE_DAYS 对已签发的 cookie 也生效
+    const nowSec = Math.floor(Date.now() / 1000);
+    const iat = Math.floor(ts / 1000);
+    const lifetime = Math.round((remembered ? cfg.REMEMBER_DEVICE_DAYS : identity.authTtlDays) * 24 * 3600);
+    const abs = Math.min(claims.abs ?? claims.exp ?? Infinity, iat + lifetime);
+    if (nowSec >= abs) return null;
+    // 空闲超时
+    if (claims.exp != null && nowSec >= claims.exp) return null;
+
+    let record = null;
+    if (claims.sid) {
+      record = await getSession(env, claims.sid);
+      if (!record || record.identity !== identity.name) return null;
+    } else {
+      // 没有会话记录，只看“退出所有设备”的时间线
+      const epoch = Number(await env.OTP_KV.get(`sessepoch:${identity.name}`)) || 0;
+      if (ts < epoch) return null;
+    }
+
+    // 换发：旧钥匙 / 旧格式签的，或者距上次签发超过 SESSION_REFRESH_MINUTES（空闲期限往后推）
+    const idle = sessionIdleSeconds(cfg, remembered);
+    const exp = idle > 0 ? Math.min(nowSec + idle, abs) : abs;
+    const refresh = claims.exp != null && exp - claims.exp >= Math.max(1, cfg.SESSION_REFRESH_MINUTES * 60);
+    let reissue = null;
+    if (parsed.kid !== keys[0].kid || refresh) {
+      const next = { sub: identity.name, scope: claims.scope, iat, exp, abs };
+      if (claims.inv) next.inv = claims.inv;
+      if (claims.sid) next.sid = claims.sid;
+      if (claims.dev) next.dev = claims.dev;
+      reissue = { token: await signAuthToken(env, next), maxAge: Math.max(0, exp - nowSec) };
+    }
+    return {
+      identity: identity.name,
+      ts,
+      sessionId: claims.sid || null,
+      record,
+      reissue,
+      scope: invite ? normalizeInviteScope(invite.scope) : AUTH_SCOPE_FULL,
+      invite: invite ? invite.id : null,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// 新格式：返回 { kid, ts, claims }，签名或字段不对返回 null
+async function parseAuthToken(token, keys) {
+  const parts = token.split(".");
+  if (parts.length !== 3 || !parts[0].startsWith("eyJ")) return null;
+  const header = safeJsonParse(base64UrlDecodeToString(parts[0]));
+  if (!header || header.alg !== "HS256" || header.v !== AUTH_TOKEN_VERSION) return null;
+  const key = keys.find(k => k.kid === header.kid);
+  if (!key) return null;
+
+  const expected = base64UrlEncode(await hmacSha256(key.secret, `${parts[0]}.${parts[1]}`));
+  if (!timingSafeEqual(parts[2], expected)) return null;
+
+  const claims = safeJsonParse(base64UrlDecodeToString(parts[1]));
+  if (!claims || typeof claims.sub !== "string") return null;
+  if (claims.scope !== AUTH_SCOPE_FULL && !(claims.scope === AUTH_SCOPE_INVITE && typeof claims.inv === "string")) return null;
+  if (!Number.isFinite(claims.iat) || !Number.isFinite(claims.exp)) return null;
+  if (claims.abs != null && !Number.isFinite(claims.abs)) return null;
+  return { kid: key.kid, ts: claims.iat * 1000, claims };
+}
+
+// 旧格式：钥匙串里任何一把签的都认（轮换前的 cookie 是 COOKIE_SECRET 签的）；kid 为 null，总是会被重签
+async function parseLegacyAuthToken(token, keys, env) {
+  const until = Date.parse(env.AUTH_LEGACY_UNTIL || "");
+  if (Number.isFinite(until) && Date.now() > until) return null;
+
+  const parts = token.split(".");
+  let tsStr, sub = null, sessionId = null, sig;
+  if (parts.length === 2) [tsStr, sig] = parts;
+  else if (parts.length === 3) [tsStr, sub, sig] = parts;
+  else if (parts.length === 4) [tsStr, sub, sessionId, sig] = parts;
+  else return null;
+
+  const ts = Number(tsStr);
+  if (!Number.isFinite(ts) || !sig) return null;
+
+  const msg = ["full", tsStr, sub, sessionId].filter(p => p != null).join(".");
+  for (const key of keys) {
+    if (!timingSafeEqual(sig, await hmacSha256Hex(key.secret, msg))) continue;
+    const claims = {
+      sub: sub == null ? DEFAULT_IDENTITY_NAME : base64UrlDecodeToString(sub),
+      sid: sessionId,
+      scope: AUTH_SCOPE_FULL,
+      iat: Math.floor(ts / 1000),
+      exp: null,
+    };
+    return { kid: null, ts, claims };
+  }
+  return null;
+}
+
+// 邀请限定了路径的，其他路径当作没解锁
+function sessionAllows(session, path) {
+  return session.scope === AUTH_SCOPE_FULL || session.scope.some(p => pathMatches(p, path));
+}
+
+// 放行的响应顺带换发 cf_auth（带 set-cookie 的响应不能进共享缓存）
+function withAuthReissue(resp, env, session) {
+  if (!session.reissue) return resp;
+  const out = new Response(resp.body, resp);
+  out.headers.append("set-cookie", authCookie(env, session.reissue.token, session.reissue.maxAge));
+  out.headers.set("cache-control", "private, no-store");
+  return out;
+}
+
+// ----------------------- 会话登记（服务端可吊销） -----------------------
+//
+// sess:<id> -> { id, identity, createdAt, lastSeen, expiresAt, ip, country, userAgent, remember }
+// 同一份数据也放在 KV metadata 里，列表时不用逐个 get。
+// KV 是最终一致的，吊销在其他机房最长约 60 秒后生效。
+
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+const ENROLL_WINDOW_MS = 10 * 60 * 1000;
+
+async function createSession(env, request, identity, now, { ttlSeconds = identity.authTtlDays * 24 * 3600, remember = false, id = crypto.randomUUID() } = {}) {
+  ttlSeconds = Math.max(60, Math.round(ttlSeconds));
+  const record = {
+    id,
+    identity: identity.name,
+    createdAt: now,
+    lastSeen: now,
+    expiresAt: now + ttlSeconds * 1000,
+    ip: request.headers.get("CF-Connecting-IP") || "",
+    country: request.cf?.country || "",
+    userAgent: (request.headers.get("User-Agent") || "").slice(0, 200),
+    remember,
+  };
+  await putSession(env, record);
+  return record;
+}
+
+async function putSession(env, record) {
+  const ttl = Math.max(60, Math.ceil((record.expiresAt - Date.now()) / 1000));
+  await env.OTP_KV.put(`sess:${record.id}`, JSON.stringify(record), { expirationTtl: ttl, metadata: record });
+}
+
+async function getSession(env, id) {
+  return safeJsonParse(await env.OTP_KV.get(`sess:${id}`));
+}
+
+// lastSeen 每 5 分钟最多写一次，避免每个请求都写 KV
+async function touchSession(env, record) {
+  const now = Date.now();
+  if (now - record.lastSeen < SESSION_TOUCH_INTERVAL_MS) return;
+  await putSession(env, { ...record, lastSeen: now });
+}
+
+async function revokeSession(env, id) {
+  await env.OTP_KV.delete(`sess:${id}`);
+}
+
+async function listSessions(env, identityName) {
+  const out = [];
+  let cursor;
+  do {
+    const page = await env.OTP_KV.list({ prefix: "sess:", cursor });
+    for (const k of page.keys) {
+      if (!k.metadata) continue;
+      if (identityName && k.metadata.identity !== identityName) continue;
+      out.push(k.metadata);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return out.sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+async function revokeAllSessions(env, identityName) {
+  const list = await listSessions(env, identityName);
+  await Promise.all(list.map(rec => revokeSession(env, rec.id)));
+  // 旧格式 cookie 没有会话记录，用时间线一刀切
+  await env.OTP_KV.put(`sessepoch:${identityName}`, String(Date.now()));
+  return list.length;
+}
+
+// --- API：查看 / 吊销自己的会话（需要已解锁） ---
+
+async function apiListSessions(request, env) {
+  const session = await requireAuth(request, env);
+  if (!session) return jsonError(pickLocale(request), "not_signed_in", 401);
+
+  const list = await listSessions(env, session.identity);
+  return json({
+    ok: true,
+    identity: session.identity,
+    sessions: list.map(rec => ({ ...rec, current: rec.id === session.sessionId })),
+  });
+}
+
+async function apiRevokeSession(request, env) {
+  const session = await requireAuth(request, env);
+  if (!session) return jsonError(pickLocale(request), "not_signed_in", 401);
+
+  let body;
+  try { body = await request.json(); } catch { body = {}; }
+  const id = (body.id || "").toString();
+  const target = id && await getSession(env, id);
+  // 只能吊销自己身份下的会话
+  if (!target || target.identity !== session.identity) return jsonError(pickLocale(request), "session_not_found", 404);
+
+  await revokeSession(env, id);
+  const headers = new Headers();
+  if (id === session.sessionId) {
+    headers.append("set-cookie", cookie("cf_auth", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  }
+  return json({ ok: true, message: t(pickLocale(request), "session.revoked") }, 200, headers);
+}
+
+async function apiRevokeAllSessions(request, env) {
+  const session = await requireAuth(request, env);
+  if (!session) return jsonError(pickLocale(request), "not_signed_in", 401);
+
+  const count = await revokeAllSessions(env, session.identity);
+  const headers = new Headers();
+  headers.append("set-cookie", cookie("cf_auth", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  return json({ ok: true, message: t(pickLocale(request), "session.revoked_all"), revoked: count }, 200, headers);
+}
+
+// 只允许刚验证成功的会话做“加凭证”类操作（通行密钥、验证器 App），防止偷到的 cookie 换成长期凭证
+async function requireFreshSession(request, env) {
+  const session = await requireAuth(request, env);
+  if (!session) return { error: jsonError(pickLocale(request), "not_signed_in", 401) };
+  if (session.invite) return { error: jsonError(pickLocale(request), "invite_not_allowed", 403), session };
+  if (!session.record || Date.now() - session.record.createdAt > ENROLL_WINDOW_MS) {
+    return { error: jsonError(pickLocale(request), "reauth_required", 403), session };
+  }
+  return { session };
+}
+
+async function requireAuth(request, env) {
+  const cookies = parseCookies(request.headers.get("Cookie") || "");
+  const auth = cookies["cf_auth"];
+  return auth ? verifyAuthCookie(auth, env, cookies["cf_device"]) : null;
+}
+
+// ----------------------- 通行密钥（WebAuthn / Passkey） -----------------------
+//
+// 验证成功后 10 分钟内，可以在当前设备上创建通行密钥；之后在 /__gate 点“用通行密钥解锁”，
+// 签发的 cf_auth 和短信路径完全一样。短信始终保留作为兜底。
+//
+// KV：
+//   pkc:<challenge>   一次性挑战（5 分钟）{ type: "reg" | "auth", rpId, identity? }
+//   pk:<凭证id>       { id, identity, jwk, alg, signCount, createdAt, lastUsed, userAgent }（metadata 里放去掉 jwk 的摘要）
+//
+// 只请求 attestation: "none"：不校验认证器厂商证书链，只校验 clientData、authenticatorData 和签名。
+// 支持 ES256（COSE -7）和 RS256（COSE -257）。
+
+const PASSKEY_CHALLENGE_TTL_SECONDS = 300;
+const COSE_ALG_ES256 = -7;
+const COSE_ALG_RS256 = -257;
+
+function passkeyEnabled(env) {
+  return env.PASSKEY_ENABLED !== "0" && env.PASSKEY_ENABLED !== "false";
+}
+
+// 默认用 COOKIE_DOMAIN 作 RP ID，根域名和子域名共用同一把通行密钥
+function passkeyRpId(env, url) {
+  return env.PASSKEY_RP_ID || (env.COOKIE_DOMAIN || "").replace(/^\./, "") || url.hostname;
+}
+
+function passkeyOriginAllowed(origin, rpId) {
+  let u;
+  try { u = new URL(origin); } catch { return false; }
+  const hostOk = u.hostname === rpId || u.hostname.endsWith(`.${rpId}`);
+  return hostOk && (u.protocol === "https:" || u.hostname === "localhost");
+}
+
+async function passkeyUserId(identityName) {
+  const h = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`gate-user:${identityName}`));
+  return base64UrlEncode(new Uint8Array(h).slice(0, 16));
+}
+
+async function newPasskeyChallenge(env, data) {
+  const challenge = base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+  await env.OTP_KV.put(`pkc:${challenge}`, JSON.stringify(data), { expirationTtl: PASSKEY_CHALLENGE_TTL_SECONDS });
+  return challenge;
+}
+
+// 一次性：取出即删除
+async function takePasskeyChallenge(env, challenge, type) {
+  if (typeof challenge !== "string" || !challenge) return null;
+  const key = `pkc:${challenge}`;
+  const data = safeJsonParse(await env.OTP_KV.get(key));
+  if (!data || data.type !== type) return null;
+  await env.OTP_KV.delete(key);
+  return data;
+}
+
+async function getPasskey(env, id) {
+  return safeJsonParse(await env.OTP_KV.get(`pk:${id}`));
+}
+
+async function putPasskey(env, cred) {
+  const { jwk, ...summary } = cred;
+  await env.OTP_KV.put(`pk:${cred.id}`, JSON.stringify(cred), { metadata: summary });
+}
+
+async function listPasskeys(env, identityName) {
+  const out = [];
+  let cursor;
+  do {
+    const page = await env.OTP_KV.list({ prefix: "pk:", cursor });
+    for (const k of page.keys) {
+      if (!k.metadata) continue;
+      if (identityName && k.metadata.identity !== identityName) continue;
+      out.push(k.metadata);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return out.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// 解析 clientDataJSON 并核对 type / challenge / origin，返回 { clientDataBytes, challenge } 或 { error }
+async function checkPasskeyClientData(env, b64, type, challengeType) {
+  let clientDataBytes, clientData;
+  try {
+    clientDataBytes = base64UrlDecode(String(b64 || ""));
+    clientData = JSON.parse(new TextDecoder().decode(clientDataBytes));
+  } catch {
+    return { error: "clientDataJSON 无法解析" };
+  }
+  if (clientData.type !== type) return { error: "clientData.type 不对" };
+  const challenge = await takePasskeyChallenge(env, clientData.challenge, challengeType);
+  if (!challenge) return { error: "挑战已过期，请重试" };
+  if (!passkeyOriginAllowed(clientData.origin, challenge.rpId)) return { error: "来源域名不匹配" };
+  return { clientDataBytes, challenge };
+}
+
+// --- 注册（需要刚验证成功的会话） ---
+
+async function apiPasskeyRegisterOptions(request, env) {
+  if (!passkeyEnabled(env)) return jsonError(pickLocale(request), "passkey_disabled", 404);
+  const { session, error } = await requireFreshSession(request, env);
+  if (error) return error;
+
+  const rpId = passkeyRpId(env, new URL(request.url));
+  const challenge = await newPasskeyChallenge(env, { type: "reg", rpId, identity: session.identity });
+  const existing = await listPasskeys(env, session.identity);
+
+  return json({
+    ok: true,
+    publicKey: {
+      challenge,
+      rp: { id: rpId, name: env.PASSKEY_RP_NAME || rpId },
+      user: { id: await passkeyUserId(session.identity), name: session.identity, displayName: session.identity },
+      pubKeyCredParams: [
+        { type: "public-key", alg: COSE_ALG_ES256 },
+        { type: "public-key", alg: COSE_ALG_RS256 },
+      ],
+      timeout: PASSKEY_CHALLENGE_TTL_SECONDS * 1000,
+      attestation: "none",
+      // 可发现凭证：解锁时不用先知道是谁
+      authenticatorSelection: { residentKey: "required", requireResidentKey: true, userVerification: "preferred" },
+      excludeCredentials: existing.map(c => ({ type: "public-key", id: c.id })),
+    },
+  });
+}
+
+async function apiPasskeyRegisterVerify(request, env, ctx) {
+  if (!passkeyEnabled(env)) return jsonError(pickLocale(request), "passkey_disabled", 404);
+  const { session, error } = await requireFreshSession(request, env);
+  if (error) return error;
+
+  let body;
+  try { body = await request.json(); } catch { body = {}; }
+  const fail = message => {
+    recordEvent(env, ctx, request, "passkey", { result: "register_fail", identity: session.identity, message });
+    return jsonError(pickLocale(request), "passkey_register_failed", 400, { params: { detail: message }, extra: { detail: message } });
+  };
+
+  const cd = await checkPasskeyClientData(env, body.response?.clientDataJSON, "webauthn.create", "reg");
+  if (cd.error) return fail(cd.error);
+  if (cd.challenge.identity !== session.identity) return fail("会话不匹配");
+
+  let authData;
+  try {
+    const att = cborDecode(base64UrlDecode(String(body.response?.attestationObject || ""))).value;
+    authData = parseAuthenticatorData(att.get("authData"));
+  } catch {
+    return fail("attestationObject 无法解析");
+  }
+  if (!await rpIdHashMatches(authData.rpIdHash, cd.challenge.rpId)) return fail("RP ID 不匹配");
+  if (!(authData.flags & 0x01)) return fail("未确认用户在场");
+  if (!authData.credential) return fail("缺少凭证数据");
+
+  let key;
+  try {
+    key = coseToJwk(cborDecode(authData.credential.publicKey).value);
+  } catch {
+    key = null;
+  }
+  if (!key) return fail("不支持的密钥算法");
+
+  const id = base64UrlEncode(authData.credential.id);
+  if (body.id && body.id !== id) return fail("凭证 id 不一致");
+  if (await getPasskey(env, id)) return fail("这个通行密钥已经登记过了");
+
+  const now = Date.now();
+  await putPasskey(env, {
+    id,
+    identity: session.identity,
+    jwk: key.jwk,
+    alg: key.alg,
+    signCount: authData.signCount,
+    createdAt: now,
+    lastUsed: 0,
+    userAgent: (request.headers.get("User-Agent") || "").slice(0, 200),
+  });
+  recordEvent(env, ctx, request, "passkey", { result: "register", identity: session.identity });
+  return json({ ok: true, message: t(pickLocale(request), "passkey.registered") });
+}
+
+// --- 解锁 ---
+
+async function apiPasskeyLoginOptions(request, env) {
+  if (!passkeyEnabled(env)) return jsonError(pickLocale(request), "passkey_disabled", 404);
+  const rpId = passkeyRpId(env, new URL(request.url));
+  const challenge = await newPasskeyChallenge(env, { type: "auth", rpId });
+  return json({
+    ok: true,
+    publicKey: {
+      challenge,
+      rpId,
+      timeout: PASSKEY_CHALLENGE_TTL_SECONDS * 1000,
+      userVerification: "preferred",
+      allowCredentials: [],
+    },
+  });
+}
+
+async function apiPasskeyLoginVerify(request, env, ctx) {
+  if (!passkeyEnabled(env)) return jsonError(pickLocale(request), "passkey_disabled", 404);
+
+  let body;
+  try { body = await request.json(); } catch { body = {}; }
+  const fail = (message, identity) => {
+    recordEvent(env, ctx, request, "passkey", { result: "fail", identity, message });
+    return jsonError(pickLocale(request), "passkey_login_failed", 401, { params: { detail: message }, extra: { detail: message } });
+  };
+
+  const cd = await checkPasskeyClientData(env, body.response?.clientDataJSON, "webauthn.get", "auth");
+  if (cd.error) return fail(cd.error);
+
+  const cred = typeof body.id === "string" && body.id ? await getPasskey(env, body.id) : null;
+  if (!cred) return fail("这个通行密钥没有登记");
+
+  let authDataBytes, authData, signature;
+  try {
+    authDataBytes = base64UrlDecode(String(body.response?.authenticatorData || ""));
+    authData = parseAuthenticatorData(authDataBytes);
+    signature = base64UrlDecode(String(body.response?.signature || ""));
+  } catch {
+    return fail("authenticatorData 无法解析", cred.identity);
+  }
+  if (!await rpIdHashMatches(authData.rpIdHash, cd.challenge.rpId)) return fail("RP ID 不匹配", cred.identity);
+  if (!(authData.flags & 0x01)) return fail("未确认用户在场", cred.identity);
+
+  // 签名对象 = authenticatorData || SHA-256(clientDataJSON)
+  const clientHash = new Uint8Array(await crypto.subtle.digest("SHA-256", cd.clientDataBytes));
+  const signed = new Uint8Array(authDataBytes.length + clientHash.length);
+  signed.set(authDataBytes, 0);
+  signed.set(clientHash, authDataBytes.length);
+  if (!await verifyPasskeySignature(cred, signature, signed)) return fail("签名不对", cred.identity);
+
+  // 计数器回退 = 凭证可能被克隆（两边都是 0 表示认证器不支持计数）
+  if ((authData.signCount || cred.signCount) && authData.signCount <= cred.signCount) {
+    return fail("签名计数异常", cred.identity);
+  }
+
+  const identity = await getIdentity(env, cred.identity);
+  if (!identity) return fail("身份已不存在", cred.identity);
+
+  await putPasskey(env, { ...cred, signCount: authData.signCount, lastUsed: Date.now() });
+
+  const { headers, session } = await issueFullAuth(request, env, identity, { remember: body.remember === true });
+  recordEvent(env, ctx, request, "passkey", { result: "pass", identity: identity.name, session: session.id });
+  headers.append("set-cookie", cookie("cf_mode", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+  return json({ ok: true, message: t(pickLocale(request), "verify.ok") }, 200, headers);
+}
+
+// --- 查看 / 删除自己的通行密钥 ---
+
+async function apiListPasskeys(request, env) {
+  const session = await requireAuth(request, env);
+  if (!session) return jsonError(pickLocale(request), "not_signed_in", 401);
+  return json({ ok: true, identity: session.identity, passkeys: await listPasskeys(env, session.identity) });
+}
+
+async function apiDeletePasskey(request, env) {
+  const session = await requireAuth(request, env);
+  if (!session) return jsonError(pickLocale(request), "not_signed_in", 401);
+
+  let body;
+  try { body = await request.json(); } catch { body = {}; }
+  const id = (body.id || "").toString();
+  const cred = id && await getPasskey(env, id);
+  if (!cred || cred.identity !== session.identity) return jsonError(pickLocale(request), "passkey_not_found", 404);
+
+  await env.OTP_KV.delete(`pk:${id}`);
+  return json({ ok: true, message: t(pickLocale(request), "passkey.deleted") });
+}
+
+// --- WebAuthn 数据结构 ---
+
+function parseAuthenticatorData(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 37) throw new Error("authData too short");
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const out = {
+    rpIdHash: bytes.slice(0, 32),
+    flags: bytes[32],
+    signCount: view.getUint32(33),
+    credential: null,
+  };
+  // AT 标志：带了新凭证（只在注册时出现）
+  if (out.flags & 0x40) {
+    const idLen = view.getUint16(53);
+    const idEnd = 55 + idLen;
+    const { offset } = cborDecode(bytes, idEnd);
+    out.credential = {
+      aaguid: bytes.slice(37, 53),
+      id: bytes.slice(55, idEnd),
+      publicKey: bytes.slice(idEnd, offset),
+    };
+  }
+  return out;
+}
+
+async function rpIdHashMatches(rpIdHash, rpId) {
+  const expected = await sha256Hex(rpId);
+  return timingSafeEqual(toHex(rpIdHash), expected);
+}
+
+// COSE_Key -> WebCrypto 可导入的 JWK
+function coseToJwk(cose) {
+  const kty = cose.get(1);
+  const alg = cose.get(3);
+  if (kty === 2 && alg === COSE_ALG_ES256 && cose.get(-1) === 1) {
+    return {
+      alg,
+      jwk: { kty: "EC", crv: "P-256", x: base64UrlEncode(cose.get(-2)), y: base64UrlEncode(cose.get(-3)) },
+    };
+  }
+  if (kty === 3 && alg === COSE_ALG_RS256) {
+    return {
+      alg,
+      jwk: { kty: "RSA", n: base64UrlEncode(cose.get(-1)), e: base64UrlEncode(cose.get(-2)) },
+    };
+  }
+  return null;
+}
+
+async function verifyPasskeySignature(cred, signature, data) {
+  try {
+    if (cred.alg === COSE_ALG_ES256) {
+      const key = await crypto.subtle.importKey("jwk", cred.jwk, { name: "ECDSA", namedCurve: "P-256" }, false, ["verify"]);
+      // WebAuthn 的 ECDSA 签名是 DER 编码，WebCrypto 要 r||s
+      return await crypto.subtle.verify({ name: "ECDSA", hash: "SHA-256" }, key, derToRawEcdsa(signature, 32), data);
+    }
+    if (cred.alg === COSE_ALG_RS256) {
+      const key = await crypto.subtle.importKey("jwk", cred.jwk, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["verify"]);
+      return await crypto.subtle.verify("RSASSA-PKCS1-v1_5", key, signature, data);
+    }
+  } catch {
+    /* 签名格式不对 */
+  }
+  return false;
+}
+
+function derToRawEcdsa(der, size) {
+  // SEQUENCE { INTEGER r, INTEGER s }
+  if (der[0] !== 0x30) throw new Error("bad DER");
+  let i = der[1] & 0x80 ? 2 + (der[1] & 0x7f) : 2;
+  const readInt = () => {
+    if (der[i] !== 0x02) throw new Error("bad DER");
+    const len = der[i + 1];
+    let v = der.slice(i + 2, i + 2 + len);
+    i += 2 + len;
+    while (v.length > size && v[0] === 0) v = v.slice(1);
+    if (v.length > size) throw new Error("bad DER");
+    const out = new Uint8Array(size);
+    out.set(v, size - v.length);
+    return out;
+  };
+  const r = readInt();
+  const s = readInt();
+  const raw = new Uint8Array(size * 2);
+  raw.set(r, 0);
+  raw.set(s, size);
+  return raw;
+}
+
+// 够 WebAuthn 用的最小 CBOR 解码：整数、字节串、文本、数组、map（解成 Map）、true/false/null
+function cborDecode(bytes, offset = 0) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  function readLength(info) {
+    if (info < 24) return info;
+    if (info === 24) return bytes[offset++];
+    if (info === 25) { const v = view.getUint16(offset); offset += 2; return v; }
+    if (info === 26) { const v = view.getUint32(offset); offset += 4; return v; }
+    if (info === 27) {
+      const v = view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+      offset += 8;
+      return v;
+    }
+    throw new Error("unsupported CBOR length");
+  }
+
+  function item() {
+    if (offset >= bytes.length) throw new Error("CBOR truncated");
+    const head = bytes[offset++];
+    const major = head >> 5;
+    const info = head & 0x1f;
+    switch (major) {
+      case 0: return readLength(info);
+      case 1: return -1 - readLength(info);
+      case 2: {
+        const len = readLength(info);
+        if (offset + len > bytes.length) throw new Error("CBOR truncated");
+        const v = bytes.slice(offset, offset + len);
+        offset += len;
+        return v;
+      }
+      case 3: {
+        const len = readLength(info);
+        if (offset + len > bytes.length) throw new Error("CBOR truncated");
+        const v = new TextDecoder().decode(bytes.subarray(offset, offset + len));
+        offset += len;
+        return v;
+      }
+      case 4: {
+        const len = readLength(info);
+        const arr = [];
+        for (let i = 0; i < len; i++) arr.push(item());
+        return arr;
+      }
+      case 5: {
+        const len = readLength(info);
+        const map = new Map();
+        for (let i = 0; i < len; i++) {
+          const k = item();
+          map.set(k, item());
+        }
+        return map;
+      }
+      case 7:
+        if (info === 20) return false;
+        if (info === 21) return true;
+        if (info === 22) return null;
+        throw new Error("unsupported CBOR simple value");
+      default:
+        throw new Error("unsupported CBOR major type");
+    }
+  }
+
+  const value = item();
+  return { value, offset };
+}
+
+// ----------------------- 身份验证器 App（TOTP，RFC 6238） -----------------------
+//
+// TOTP_ENABLED=1 开启，作为短信之外的第二因子（短信额度用完 / 模板审核中也能进）。
+// totp:<身份名>  -> { identity, secret(base32), createdAt, lastStep }
+// totpp:<身份名> -> 绑定中的临时密钥（10 分钟），扫码并输入一次正确的 6 位数字后才转正
+// 绑定页 /__totp 只对刚验证成功的会话开放（同通行密钥的 10 分钟窗口），二维码只在这个页面上出现。
+// 参数固定 SHA-1 / 6 位 / 30 秒，所有常见验证器 App 都支持；允许前后各 1 个时间步的时钟误差。
+// 防重放：通过的时间步先在限流器里原子地占下来（claimTotpStep），同一个码并发提交两次只有一个能过；
+// 另外记录最后一次通过的时间步，更早的步也不能再用。没绑定 RATE_LIMITER 时占位退回 KV 计数，只是尽力而为。
+// 临时密钥没过期时，刷新 /__totp 或开第二个标签页沿用同一个，已经扫过的二维码不会失效。
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_SKEW_STEPS = 1;
+const TOTP_PENDING_TTL_SECONDS = 600;
+
+function totpEnabled(env) {
+  return env.TOTP_ENABLED === "1" || env.TOTP_ENABLED === "true";
+}
+
+async function getTotp(env, identityName) {
+  return safeJsonParse(await env.OTP_KV.get(`totp:${identityName}`));
+}
+
+async function putTotp(env, rec) {
+  await env.OTP_KV.put(`totp:${rec.identity}`, JSON.stringify(rec), {
+    metadata: { identity: rec.identity, createdAt: rec.createdAt },
+  });
+}
+
+async function listTotp(env) {
+  const page = await env.OTP_KV.list({ prefix: "totp:" });
+  return page.keys.map(k => k.metadata).filter(Boolean);
+}
+
+// 和验证码 provider 同一个 check 接口，apiVerify 里按 sid 的 factor 选用
+const TOTP_FACTOR = {
+  name: "totp",
+  async check(env, { identity, code }) {
+    const rec = await getTotp(env, identity);
+    if (!rec) return { ok: false, message: "还没有绑定身份验证器 App" };
+    const step = await totpMatchStep(rec.secret, code);
+    if (step < 0 || step <= (rec.lastStep || 0)) return { ok: true, pass: false };
+    if (!await claimTotpStep(env, identity, step)) return { ok: true, pass: false };
+    await putTotp(env, { ...rec, lastStep: step });
+    return { ok: true, pass: true };
+  },
+};
+
+// 占下某个身份的某个时间步，已经被占过返回 false。
+// 窗口要盖住这一步还能通过的整段时间（前后各 TOTP_SKEW_STEPS 步的误差）
+async function claimTotpStep(env, identityName, step) {
+  const claim = await rateLimit(env, [{
+    name: "totp_step",
+    key: `totp-step:${identityName}:${step}`,
+    limit: 1,
+    windowSeconds: (2 * TOTP_SKEW_STEPS + 2) * TOTP_PERIOD_SECONDS,
+  }]);
+  return claim.ok;
+}
+
+// 绑定中的临时密钥：没过期就沿用，并把有效期续满
+async function pendingTotpSecret(env, identityName) {
+  const key = `totpp:${identityName}`;
+  const secret = await env.OTP_KV.get(key) || base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+  await env.OTP_KV.put(key, secret, { expirationTtl: TOTP_PENDING_TTL_SECONDS });
+  return secret;
+}
+
+async function hotp(secretBytes, counter) {
+  const key = await crypto.subtle.importKey("raw", secretBytes, { name: "HMAC", hash: "SHA-1" }, false, ["sign"]);
+  const msg = new Uint8Array(8);
+  const view = new DataView(msg.buffer);
+  view.setUint32(0, Math.floor(counter / 2 ** 32));
+  view.setUint32(4, counter >>> 0);
+  const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, msg));
+  const off = mac[mac.length - 1] & 0x0f;
+  const bin = ((mac[off] & 0x7f) << 24) | (mac[off + 1] << 16) | (mac[off + 2] << 8) | mac[off + 3];
+  return String(bin % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+// 返回命中的时间步，没命中返回 -1（窗口内每一步都算一遍，不提前退出）
+async function totpMatchStep(secretB32, code, now = Date.now()) {
+  const secret = base32Decode(secretB32);
+  const step = Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  let matched = -1;
+  for (let d = -TOTP_SKEW_STEPS; d <= TOTP_SKEW_STEPS; d++) {
+    const expected = await hotp(secret, step + d);
+    if (timingSafeEqual(String(code), expected) && matched < 0) matched = step + d;
+  }
+  return matched;
+}
+
+function totpUri(env, url, identityName, secret) {
+  const issuer = env.TOTP_ISSUER || url.hostname;
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(identityName)}`;
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+}
+
+// GET /__totp：生成（或沿用）临时密钥并显示二维码
+async function totpEnrollPage(request, env) {
+  if (!totpEnabled(env)) return new Response("Not Found", { status: 404 });
+  const { session, error } = await requireFreshSession(request, env);
+  if (!session || session.invite) {
+    return new Response(null, { status: 302, headers: { "cache-control": "no-store", "location": "/__gate" } });
+  }
+
+  const lang = pickLocale(request);
+  const m = key => escapeHtml(t(lang, key));
+
+  let body;
+  if (error) {
+    body = `<p>${m("totp_page.stale").replace("{logout}", `<a href="/__logout">${m("totp_page.logout")}</a>`)}</p>`;
+  } else {
+    const secret = await pendingTotpSecret(env, session.identity);
+    const uri = totpUri(env, new URL(request.url), session.identity, secret);
+    const existing = await getTotp(env, session.identity);
+    body = `
+    <p>${m("totp_page.intro")}</p>
+    ${existing ? `<p class="warn">${m("totp_page.replace_warn")}</p>` : ""}
+    <div class="qr">${qrSvg(uri)}</div>
+    <p class="fine">${m("totp_page.manual")}<code>${escapeHtml(secret.replace(/(.{4})/g, "$1 ").trim())}</code></p>
+    <label>${m("totp_page.code_label")}</label>
+    <input id="code" inputmode="numeric" maxlength="6" autocomplete="one-time-code" placeholder="123456" />
+    <button id="btnConfirm">${m("totp_page.confirm")}</button>
+    <div id="msg"></div>
+<script>
+const $ = (id)=>document.getElementById(id);
+const T = ${scriptMessages(lang, "totp_page.")};
+$("btnConfirm").addEventListener("click", async ()=>{
+  $("btnConfirm").disabled = true;
+  try{
+    const r = await fetch("/api/totp/enroll", {
+      method: "POST",
+      headers: {"content-type":"application/json"},
+      body: JSON.stringify({ code: ($("code").value || "").trim() })
+    });
+    const j = await r.json();
+    $("msg").className = r.ok ? "ok" : "err";
+    $("msg").textContent = j.message || (r.ok ? T.done : ${JSON.stringify(t(lang, "gate.failed"))});
+    if(r.ok) setTimeout(()=>location.href="/", 1200);
+  }catch(e){
+    $("msg").className = "err";
+    $("msg").textContent = ${JSON.stringify(t(lang, "gate.network_error"))};
+  }finally{
+    $("btnConfirm").disabled = false;
+  }
+});
+</script>`;
+  }
+
+  const html = `<!doctype html>
+<html lang="${lang}">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>${m("totp_page.title")}</title>
+  <style>
+    body{margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;background:#0b0c10;color:#eef1f8;font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;}
+    .card{width:min(480px,92vw);background:#131622;border:1px solid rgba(255,255,255,.12);border-radius:20px;padding:24px 22px;}
+    h1{margin:0 0 10px;font-size:20px;}
+    p{margin:0 0 12px;line-height:1.7;color:#9aa3b2;font-size:14px;}
+    a{color:#c9d4ff;}
+    .qr{display:flex;justify-content:center;margin:14px 0;}
+    .qr svg{max-width:100%;height:auto;border-radius:10px;}
+    code{color:#eef1f8;word-break:break-all;}
+    label{display:block;color:#9aa3b2;font-size:13px;margin:12px 0 8px;}
+    input{width:100%;padding:12px 14px;border-radius:14px;border:1px solid rgba(255,255,255,.12);background:#0e1118;color:#eef1f8;font-size:16px;box-sizing:border-box;}
+    button{margin-top:12px;width:100%;padding:12px;border-radius:14px;border:0;background:#f9f9fb;color:#0f1117;font-size:16px;font-weight:700;cursor:pointer;}
+    button:disabled{opacity:.6;cursor:not-allowed;}
+    .fine{font-size:12px;}
+    .warn{color:#ffb86b;}
+    .err{color:#ff8585;margin:10px 0 0;font-size:13px;}
+    .ok{color:#8bffc2;margin:10px 0 0;font-size:13px;}
+  </style>
+</head>
+<body>
+  <div class="card">
+    <h1>${m("totp_page.title")}</h1>
+    ${body}
+  </div>
+</body>
+</html>`;
+
+  const headers = new Headers({
+    "content-type": "text/html; charset=utf-8",
+    "cache-control": "no-store",
+  });
+  appendLangCookie(headers, request, env);
+  return new Response(html, { headers });
+}
+
+// POST /api/totp/enroll { code }：用临时密钥校验一次，通过后转正
+async function apiTotpEnroll(request, env, ctx) {
+  if (!totpEnabled(env)) return jsonError(pickLocale(request), "totp_disabled", 404);
+  const { session, error } = await requireFreshSession(request, env);
+  if (error) return error;
+  const lang = pickLocale(request);
+
+  let body;
+  try { body = await request.json(); } catch { body = {}; }
+  const code = (body.code || "").toString().trim();
+  if (!/^\d{6}$/.test(code)) return jsonError(lang, "totp_invalid_format", 400);
+
+  const secret = await env.OTP_KV.get(`totpp:${session.identity}`);
+  if (!secret) return jsonError(lang, "totp_enroll_expired", 410);
+
+  const step = await totpMatchStep(secret, code);
+  // 绑定用掉的这一步同样占下来，不能马上拿去 /api/verify 再用一次
+  if (step < 0 || !await claimTotpStep(env, session.identity, step)) return jsonError(lang, "totp_incorrect", 401);
+
+  await putTotp(env, { identity: session.identity, secret, createdAt: Date.now(), lastStep: step });
+  await env.OTP_KV.delete(`totpp:${session.identity}`);
+  recordEvent(env, ctx, request, "totp", { result: "enroll", identity: session.identity });
+  return json({ ok: true, message: t(lang, "totp.enrolled") });
+}
+
+// ----------------------- 二维码（SVG） -----------------------
+//
+// 只用于在 /__totp 上显示 otpauth:// 链接，不把密钥发给任何第三方二维码服务。
+// 字节模式 + 纠错等级 M，自动选版本（1~40），掩码按规则 1/2/4 的罚分挑选。
+
+const QR_ECC_CODEWORDS_PER_BLOCK_M = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_NUM_BLOCKS_M = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+
+function qrSvg(text, { scale = 6 } = {}) {
+  const modules = qrEncode(new TextEncoder().encode(text));
+  const size = modules.length;
+  const border = 4;
+  let path = "";
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) path += `M${x + border},${y + border}h1v1h-1z`;
+    }
+  }
+  const dim = size + border * 2;
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" width="${dim * scale}" height="${dim * scale}" shape-rendering="crispEdges"><rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+}
+
+function qrEncode(bytes) {
+  // 选能装下的最小版本
+  let version, dataCodewords;
+  for (version = 1; version <= 40; version++) {
+    dataCodewords = qrNumDataCodewords(version);
+    const countBits = version < 10 ? 8 : 16;
+    if (4 + countBits + bytes.length * 8 <= dataCodewords * 8) break;
+  }
+  if (version > 40) throw new Error("QR data too long");
+
+  // 数据位流：模式 0100 + 长度 + 数据 + 终止符 + 填充
+  const bits = [];
+  const push = (val, len) => { for (let i = len - 1; i >= 0; i--) bits.push((val >>> i) & 1); };
+  push(0b0100, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) push(b, 8);
+  push(0, Math.min(4, dataCodewords * 8 - bits.length));
+  push(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < dataCodewords * 8; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+
+  const codewords = qrAddEccAndInterleave(data, version);
+  const size = version * 4 + 17;
+  const grid = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, dark) => { grid[y][x] = dark; isFunction[y][x] = true; };
+
+  qrDrawFunctionPatterns(version, size, set);
+  qrDrawCodewords(codewords, size, grid, isFunction);
+
+  // 挑罚分最低的掩码
+  let best = null;
+  for (let mask = 0; mask < 8; mask++) {
+    const candidate = grid.map(row => row.slice());
+    qrApplyMask(candidate, isFunction, mask);
+    qrDrawFormatBits(mask, size, (x, y, dark) => { candidate[y][x] = dark; });
+    const penalty = qrPenalty(candidate);
+    if (!best || penalty < best.penalty) best = { penalty, modules: candidate };
+  }
+  return best.modules;
+}
+
+function qrNumRawDataModules(ver) {
+  let result = (16 * ver + 128) * ver + 64;
+  if (ver >= 2) {
+    const numAlign = Math.floor(ver / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (ver >= 7) result -= 36;
+  }
+  return result;
+}
+
+function qrNumDataCodewords(ver) {
+  return Math.floor(qrNumRawDataModules(ver) / 8) - QR_ECC_CODEWORDS_PER_BLOCK_M[ver] * QR_NUM_BLOCKS_M[ver];
+}
+
+function qrAddEccAndInterleave(data, ver) {
+  const numBlocks = QR_NUM_BLOCKS_M[ver];
+  const eccLen = QR_ECC_CODEWORDS_PER_BLOCK_M[ver];
+  const rawCodewords = Math.floor(qrNumRawDataModules(ver) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = qrRsDivisor(eccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - eccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = qrRsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // 短块在数据区末尾补的占位字节不输出
+      if (i !== shortBlockLen - eccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+function qrRsMul(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function qrRsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = qrRsMul(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = qrRsMul(root, 0x02);
+  }
+  return result;
+}
+
+function qrRsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const b of data) {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= qrRsMul(coef, factor); });
+  }
+  return result;
+}
+
+function qrDrawFunctionPatterns(ver, size, set) {
+  // 定时图形
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  // 三个定位图形（含分隔符）
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx, y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  }
+  // 校正图形
+  const align = qrAlignmentPositions(ver, size);
+  const n = align.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(align[i] + dx, align[j] + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }
+  }
+  // 格式信息先占位（掩码确定后再写），版本信息
+  qrDrawFormatBits(0, size, set);
+  if (ver >= 7) {
+    let rem = ver;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (ver << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+}
+
+function qrAlignmentPositions(ver, size) {
+  if (ver === 1) return [];
+  const numAlign = Math.floor(ver / 7) + 2;
+  const step = Math.floor((ver * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function qrDrawFormatBits(mask, size, set) {
+  // 纠错等级 M 的格式位是 00
+  const data = (0 << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) !== 0;
+
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true);
+}
+
+function qrDrawCodewords(codewords, size, grid, isFunction) {
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          grid[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function qrApplyMask(grid, isFunction, mask) {
+  const size = grid.length;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (isFunction[y][x]) continue;
+      let invert;
+      switch (mask) {
+        case 0: invert = (x + y) % 2 === 0; break;
+        case 1: invert = y % 2 === 0; break;
+        case 2: invert = x % 3 === 0; break;
+        case 3: invert = (x + y) % 3 === 0; break;
+        case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+        case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+        case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+        default: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+      }
+      if (invert) grid[y][x] = !grid[y][x];
+    }
+  }
+}
+
+function qrPenalty(grid) {
+  const size = grid.length;
+  let penalty = 0;
+  // 规则 1：行 / 列里连续 5 个以上同色
+  for (let y = 0; y < size; y++) {
+    for (const line of [grid[y], grid.map(row => row[y])]) {
+      let run = 1;
+      for (let x = 1; x <= size; x++) {
+        if (x < size && line[x] === line[x - 1]) {
+          run++;
+        } else {
+          if (run >= 5) penalty += run - 2;
+          run = 1;
+        }
+      }
+    }
+  }
+  // 规则 2：2x2 同色块
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = grid[y][x];
+      if (c === grid[y][x + 1] && c === grid[y + 1][x] && c === grid[y + 1][x + 1]) penalty += 3;
+    }
+  }
+  // 规则 4：黑白比例偏离 50%
+  let dark = 0;
+  for (const row of grid) for (const m of row) if (m) dark++;
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+  return penalty;
+}
+
+// ----------------------- 审计事件 -----------------------
+//
+// evt:<倒序时间戳>:<随机> -> { t, type, result, ip, country, identity?, provider?, code?, message?, session? }
+// 倒序时间戳让 KV list 直接按“最新在前”返回；同一份数据放在 metadata 里，列表时不用逐个 get。
+// 保留 AUDIT_RETENTION_DAYS 天（KV 自动过期）。
+//
+// 事件名 = `${type}.${result}`：
+//   public.enter                         进入仅访问模式
+//   phrase.ok / phrase.bad / phrase.limited   密语尝试（limited = 触发限流）
+//   challenge.required / challenge.pass / challenge.fail / challenge.error   人机验证（code 是触发原因）
+//   sms.ok / sms.fail / sms.cooldown / sms.budget / sms.paused（code 是阿里云错误码或限流规则；fail 的 message 是原始报错，其余重新发送的 message 为 resend）
+//   verify.pass / verify.fail / verify.error / verify.locked（locked = 试错次数用完）
+//   logout.ok / logout.anonymous
+//   passkey.register / passkey.register_fail / passkey.pass / passkey.fail
+//   totp.enroll（用 TOTP 核验的结果仍记为 verify.*，provider 为 totp）
+//   invite.use / invite.fail（fail 的 code 是 invalid / expired / used_up / revoked，message 是邀请备注）
+//
+// AUDIT_WEBHOOK_URL 配置后，AUDIT_WEBHOOK_EVENTS 里列出的事件（默认 verify.pass）会实时 POST 给你（签名同 OTP webhook）。
+
+const EVENT_KEY_MAX = 9999999999999;
+const EVENT_CSV_COLUMNS = ["time", "event", "type", "result", "identity", "ip", "country", "provider", "code", "message", "session"];
+
+function recordEvent(env, ctx, request, type, fields = {}) {
+  const cfg = getCfg(env);
+  const t = Date.now();
+  const evt = {
+    t,
+    type,
+    ip: request.headers.get("CF-Connecting-IP") || "",
+    country: request.cf?.country || "",
+    ...fields,
+  };
+  // metadata 上限 1KB
+  if (evt.message) evt.message = String(evt.message).slice(0, 200);
+  const key = `evt:${String(EVENT_KEY_MAX - t).padStart(13, "0")}:${crypto.randomUUID().slice(0, 8)}`;
+  const ttl = Math.max(60, Math.round(cfg.AUDIT_RETENTION_DAYS * 24 * 3600));
+
+  const tasks = [
+    env.OTP_KV.put(key, JSON.stringify(evt), { expirationTtl: ttl, metadata: evt }),
+  ];
+  const name = `${type}.${evt.result}`;
+  // 没配 secret 就不发：接收方无法校验来源
+  if (env.AUDIT_WEBHOOK_URL && env.AUDIT_WEBHOOK_SECRET && auditWebhookEvents(env).has(name)) {
+    tasks.push(postSignedJson(env.AUDIT_WEBHOOK_URL, env.AUDIT_WEBHOOK_SECRET, {
+      event: name,
+      host: new URL(request.url).hostname,
+      ...evt,
+      time: new Date(t).toISOString(),
+    }).then(r => { if (!r.ok) console.error("[gate] audit webhook failed", r.status, r.message || ""); }));
+  }
+
+  const p = Promise.all(tasks).catch(e => console.error("[gate] recordEvent failed", e));
+  if (ctx) ctx.waitUntil(p);
+  return p;
+}
+
+function auditWebhookEvents(env) {
+  return new Set((env.AUDIT_WEBHOOK_EVENTS || "verify.pass").split(",").map(x => x.trim()).filter(Boolean));
+}
+
+async function listEvents(env, limit = 100) {
+  const page = await env.OTP_KV.list({ prefix: "evt:", limit });
+  return page.keys.map(k => k.metadata).filter(Boolean);
+}
+
+// 导出用：翻完所有页，按时间范围 / 事件名过滤
+async function listAllEvents(env, { since = 0, until = Infinity, events = null } = {}) {
+  const out = [];
+  let cursor;
+  do {
+    const page = await env.OTP_KV.list({ prefix: "evt:", cursor });
+    for (const k of page.keys) {
+      const evt = k.metadata;
+      if (!evt || evt.t < since || evt.t > until) continue;
+      if (events && !events.has(`${evt.type}.${evt.result}`) && !events.has(evt.type)) continue;
+      out.push(evt);
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  return out;
+}
+
+function eventsToCsv(events) {
+  const cell = v => {
+    let str = v == null ? "" : String(v);
+    // IP、User-Agent、message 都来自客户端：= + - @（以及制表符、回车）开头的在 Excel / WPS 里会被当成公式，前面加 ' 变成纯文本
+    if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  const lines = [EVENT_CSV_COLUMNS.join(",")];
+  for (const e of events) {
+    const rec = { ...e, time: new Date(e.t).toISOString(), event: `${e.type}.${e.result}` };
+    lines.push(EVENT_CSV_COLUMNS.map(c => cell(rec[c])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// GET /__admin/events.json|csv?since=&until=&events=verify.pass,sms（since/until 为 ISO 时间或毫秒时间戳）
+async function adminExportEvents(request, env, format) {
+  const url = new URL(request.url);
+  const parseTime = (v, d) => {
+    if (!v) return d;
+    const n = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+    return Number.isFinite(n) ? n : d;
+  };
+  const filterParam = url.searchParams.get("events");
+  const events = await listAllEvents(env, {
+    since: parseTime(url.searchParams.get("since"), 0),
+    until: parseTime(url.searchParams.get("until"), Infinity),
+    events: filterParam ? new Set(filterParam.split(",").map(x => x.trim()).filter(Boolean)) : null,
+  });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "csv") {
+    return new Response(eventsToCsv(events), {
+      headers: {
+        "content-type": "text/csv; charset=utf-8",
+        "content-disposition": `attachment; filename="gate-events-${stamp}.csv"`,
+        "cache-control": "no-store",
+      },
+    });
+  }
+  const headers = new Headers({ "content-disposition": `attachment; filename="gate-events-${stamp}.json"` });
+  return json({
+    ok: true,
+    count: events.length,
+    events: events.map(e => ({ ...e, time: new Date(e.t).toISOString(), event: `${e.type}.${e.result}` })),
+  }, 200, headers);
+}
+
+// ----------------------- 管理后台 /__admin -----------------------
+//
+// 凭证是单独的 ADMIN_TOKEN（不是密语），没配置时整个后台 404。
+// 登录后发 cf_admin（只在本域名 /__admin 路径下、SameSite=Strict），签名 key 就是 ADMIN_TOKEN 本身，换 token 即全部失效。
+
+const ADMIN_SESSION_SECONDS = 12 * 3600;
+
+async function handleAdmin(request, env) {
+  if (!env.ADMIN_TOKEN) return new Response("Not Found", { status: 404 });
+
+  const url = new URL(request.url);
+  const path = url.pathname;
+
+  if (path === "/__admin/login" && request.method === "POST") return adminLogin(request, env);
+
+  if (!await verifyAdminCookie(request, env)) {
+    if (request.method !== "GET") return new Response("Unauthorized", { status: 401 });
+    return adminLoginPage();
+  }
+
+  if (path === "/__admin" && request.method === "GET") return adminDashboard(request, env);
+  if (path === "/__admin/events.json" && request.method === "GET") return adminExportEvents(request, env, "json");
+  if (path === "/__admin/events.csv" && request.method === "GET") return adminExportEvents(request, env, "csv");
+  if (path === "/__admin/invites.json" && request.method === "GET") return adminListInvites(request, env);
+  if (request.method !== "POST") return new Response("Not Found", { status: 404 });
+
+  let form;
+  try { form = await request.formData(); } catch { form = new FormData(); }
+
+  if (path === "/__admin/logout") {
+    const headers = new Headers({ "cache-control": "no-store", "location": "/__admin" });
+    headers.append("set-cookie", cookie("cf_admin", "", { path: "/__admin", maxAge: 0 }));
+    return new Response(null, { status: 303, headers });
+  }
+  if (path === "/__admin/unblock") {
+    const ip = (form.get("ip") || "").toString();
+    if (ip) await rateLimitReset(env, [`pw:${ip}`, `sms:${ip}`, ...VERIFY_IP_TIERS.map((_, i) => `verify-ip${i}:${ip}`)]);
+    return adminRedirect();
+  }
+  if (path === "/__admin/revoke") {
+    const id = (form.get("id") || "").toString();
+    if (id) await revokeSession(env, id);
+    return adminRedirect();
+  }
+  if (path === "/__admin/passkey-delete") {
+    const id = (form.get("id") || "").toString();
+    if (id) await env.OTP_KV.delete(`pk:${id}`);
+    return adminRedirect();
+  }
+  if (path === "/__admin/totp-delete") {
+    const identity = (form.get("identity") || "").toString();
+    if (identity) await env.OTP_KV.delete(`totp:${identity}`);
+    return adminRedirect();
+  }
+  if (path === "/__admin/invite") return adminCreateInvite(request, env, form);
+  if (path === "/__admin/invite-revoke") {
+    const id = (form.get("id") || "").toString();
+    if (id) await revokeInvite(env, id);
+    return adminRedirect();
+  }
+  if (path === "/__admin/sms") {
+    if (form.get("action") === "pause") {
+      const minutes = Math.max(1, num(form.get("minutes"), 60));
+      const until = Date.now() + minutes * 60 * 1000;
+      await env.OTP_KV.put("config:sms_paused", String(until), { expirationTtl: Math.max(60, minutes * 60) });
+    } else {
+      await env.OTP_KV.delete("config:sms_paused");
+    }
+    return adminRedirect();
+  }
+  return new Response("Not Found", { status: 404 });
+}
+
+async function adminLogin(request, env) {
+  const ip = request.headers.get("CF-Connecting-IP") || "0.0.0.0";
+  const limit = await rateLimit(env, [{ name: "admin_login", key: `admin:${ip}`, limit: 10, windowSeconds: 10 * 60 }]);
+  if (!limit.ok) return adminLoginPage("尝试次数过多，请稍后再试。", 429, limit.retryAfter);
+
+  let form;
+  try { form = await request.formData(); } catch { form = new FormData(); }
+  const token = (form.get("token") || "").toString();
+  if (!timingSafeEqual(token, env.ADMIN_TOKEN)) return adminLoginPage("凭证不对。", 401);
+
+  const ts = Date.now();
+  const sig = await hmacSha256Hex(env.ADMIN_TOKEN, `admin.${ts}`);
+  const headers = new Headers({ "cache-control": "no-store", "location": "/__admin" });
+  headers.append("set-cookie", cookie("cf_admin", `${ts}.${sig}`, {
+    httpOnly: true,
+    secure: true,
+    sameSite: "Strict",
+    path: "/__admin",
+    maxAge: ADMIN_SESSION_SECONDS,
+  }));
+  return new Response(null, { status: 303, headers });
+}
+
+async function verifyAdminCookie(request, env) {
+  const cookies = parseCookies(request.headers.get("Cookie") || "");
+  const [tsStr, sig] = (cookies["cf_admin"] || "").split(".");
+  const ts = Number(tsStr);
+  if (!Number.isFinite(ts) || !sig) return false;
+  if (Date.now() - ts > ADMIN_SESSION_SECONDS * 1000) return false;
+  const expected = await hmacSha256Hex(env.ADMIN_TOKEN, `admin.${tsStr}`);
+  return timingSafeEqual(sig, expected);
+}
+
+function adminRedirect() {
+  return new Response(null, { status: 303, headers: { "cache-control": "no-store", "location": "/__admin" } });
+}
+
+// POST /__admin/invite：label / hours（链接有效小时）/ maxUses / ttlHours（进来后保持解锁的小时）/ scope（路径，逗号分隔，空 = 全站）
+// 带 Accept: application/json 时返回 { ok, url, invite }，否则回到后台
+async function adminCreateInvite(request, env, form) {
+  // 空着的输入框按默认值
+  const field = name => form.get(name) || undefined;
+  const invite = await createInvite(env, {
+    label: field("label"),
+    hours: field("hours"),
+    maxUses: field("maxUses"),
+    ttlHours: field("ttlHours"),
+    scope: field("scope"),
+  });
+  if (!(request.headers.get("Accept") || "").includes("application/json")) return adminRedirect();
+  const url = await inviteUrl(env, new URL(request.url).origin, invite.id);
+  return json({ ok: true, url, invite });
+}
+
+// GET /__admin/invites.json：全部邀请（含链接和使用记录）
+async function adminListInvites(request, env) {
+  const origin = new URL(request.url).origin;
+  const invites = await Promise.all((await listInvites(env)).map(async it => ({
+    ...it,
+    status: inviteStatus(it),
+    url: await inviteUrl(env, origin, it.id),
+  })));
+  return json({ ok: true, invites });
+}
+
+async function smsPausedUntil(env) {
+  const until = Number(await env.OTP_KV.get("config:sms_paused"));
+  return until > Date.now() ? until : 0;
+}
+
+// 当前被限流的 IP：密语尝试超限、核验试错被锁，或还在短信冷却期内
+async function listBlockedIps(env) {
+  const byIp = new Map();
+  const entry = ip => byIp.get(ip) || byIp.set(ip, { ip, attempts: 0, verifyFails: 0, smsAt: 0, expiration: 0 }).get(ip);
+
+  const [pw, sms, verify] = await Promise.all([rateLimitList(env, "pw:"), rateLimitList(env, "sms:"), rateLimitList(env, "verify-ip")]);
+  for (const k of pw) {
+    if (!k.blockedUntil) continue;
+    const e = entry(k.key.slice("pw:".length));
+    e.attempts = k.n;
+    e.expiration = Math.max(e.expiration, k.blockedUntil);
+  }
+  for (const k of sms) {
+    if (!k.blockedUntil) continue;
+    const e = entry(k.key.slice("sms:".length));
+    e.smsAt = k.last;
+    e.expiration = Math.max(e.expiration, k.blockedUntil);
+  }
+  for (const k of verify) {
+    if (!k.blockedUntil) continue;
+    const e = entry(k.key.slice(k.key.indexOf(":") + 1));
+    e.verifyFails = Math.max(e.verifyFails, k.n);
+    e.expiration = Math.max(e.expiration, k.blockedUntil);
+  }
+  return [...byIp.values()];
+}
+
+function fmtTime(t) {
+  if (!t) return "-";
+  try {
+    return new Date(t).toLocaleString("zh-CN", { timeZone: "Asia/Shanghai", hour12: false });
+  } catch {
+    return new Date(t).toISOString();
+  }
+}
+
+async function adminDashboard(request, env) {
+  const { origin, hostname } = new URL(request.url);
+  const [events, sessions, passkeys, totps, invites, blocked, pausedUntil, budget, health] = await Promise.all([
+    listEvents(env, 100),
+    listSessions(env),
+    listPasskeys(env),
+    listTotp(env),
+    listInvites(env),
+    listBlockedIps(env),
+    smsPausedUntil(env),
+    Promise.all(smsBudgetRules(env).map(r => rateLimitPeek(env, [r]).then(res => ({ ...r, n: res.counts?.[0] || 0 })))),
+    runHealthChecks(env, { host: hostname, probe: true }),
+  ]);
+
+  const row = cells => `<tr>${cells.map(c => `<td>${escapeHtml(c ?? "")}</td>`).join("")}</tr>`;
+  const postButton = (action, fields, label) =>
+    `<form method="post" action="${action}">${Object.entries(fields)
+      .map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}">`).join("")}<button>${escapeHtml(label)}</button></form>`;
+
+  const [day, month] = budget;
+  const capText = r => r.limit > 0 ? `${r.n} / ${r.limit}` : "不限";
+  const budgetLine = `<p>额度：近 24 小时 ${capText(day)}，近 30 天 ${capText(month)}</p>`;
+
+  const smsBlock = pausedUntil
+    ? `<p>短信发送<b class="warn">已暂停</b>，到 ${escapeHtml(fmtTime(pausedUntil))} 自动恢复。</p>${postButton("/__admin/sms", { action: "resume" }, "立即恢复")}`
+    : `<p>短信发送正常。</p>
+      <form method="post" action="/__admin/sms"><input type="hidden" name="action" value="pause">
+        暂停 <input name="minutes" value="60" size="4" inputmode="numeric"> 分钟 <button>暂停</button></form>`;
+
+  const blockedRows = blocked.map(b =>
+    `<tr><td>${escapeHtml(b.ip)}</td><td>${b.attempts || "-"}</td><td>${b.verifyFails || "-"}</td><td>${escapeHtml(fmtTime(b.smsAt))}</td><td>${escapeHtml(fmtTime(b.expiration))}</td><td>${postButton("/__admin/unblock", { ip: b.ip }, "解除")}</td></tr>`
+  ).join("");
+
+  const healthState = { ok: "正常", warn: "注意", fail: "有问题" };
+  const healthRows = health.checks.map(c =>
+    `<tr><td>${escapeHtml(c.id)}</td><td${c.status === "ok" ? "" : ` class="warn"`}>${escapeHtml(healthState[c.status])}</td><td>${escapeHtml(c.message)}</td></tr>`
+  ).join("");
+
+  const sessionRows = sessions.map(s =>
+    `<tr><td>${escapeHtml(s.identity)}</td><td>${escapeHtml(fmtTime(s.createdAt))}</td><td>${escapeHtml(fmtTime(s.lastSeen))}</td><td>${escapeHtml(s.ip)}</td><td>${escapeHtml(s.country)}</td><td class="ua">${escapeHtml(s.userAgent)}</td><td>${postButton("/__admin/revoke", { id: s.id }, "吊销")}</td></tr>`
+  ).join("");
+
+  const passkeyRows = passkeys.map(k =>
+    `<tr><td>${escapeHtml(k.identity)}</td><td>${escapeHtml(fmtTime(k.createdAt))}</td><td>${escapeHtml(fmtTime(k.lastUsed))}</td><td class="ua">${escapeHtml(k.userAgent)}</td><td>${postButton("/__admin/passkey-delete", { id: k.id }, "删除")}</td></tr>`
+  ).join("");
+
+  const totpRows = totps.map(t =>
+    `<tr><td>${escapeHtml(t.identity)}</td><td>${escapeHtml(fmtTime(t.createdAt))}</td><td>${postButton("/__admin/totp-delete", { identity: t.identity }, "解绑")}</td></tr>`
+  ).join("");
+
+  const inviteState = { ok: "可用", expired: "已过期", used_up: "已用完", revoked: "已吊销" };
+  const inviteRows = (await Promise.all(invites.map(async it => {
+    const status = inviteStatus(it);
+    const url = status === "ok" ? `<input readonly size="36" value="${escapeHtml(await inviteUrl(env, origin, it.id))}" onfocus="this.select()">` : "-";
+    const scope = it.scope === AUTH_SCOPE_FULL ? "全站" : it.scope.join(", ");
+    const last = it.lastUsed ? `${fmtTime(it.lastUsed.t)} ${it.lastUsed.ip} ${it.lastUsed.country}` : "-";
+    const revoke = it.revokedAt ? "" : postButton("/__admin/invite-revoke", { id: it.id }, "吊销");
+    return `<tr><td>${escapeHtml(it.label || "-")}</td><td>${url}</td><td>${escapeHtml(scope)}</td><td>${it.uses} / ${it.maxUses}</td><td>${escapeHtml(it.ttlHours)} 小时</td><td>${escapeHtml(fmtTime(it.expiresAt))}</td><td>${escapeHtml(inviteState[status])}</td><td>${escapeHtml(last)}</td><td>${revoke}</td></tr>`;
+  }))).join("");
+
+  const eventRows = events.map(e =>
+    row([fmtTime(e.t), e.type, e.result, e.identity || "", e.ip, e.country, e.code || "", e.message || ""])
+  ).join("");
+
+  const html = `<!doctype html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>Gate Admin</title>
+  <style>
+    :root{--bg:#0b0c10;--card:#131622;--txt:#eef1f8;--muted:#9aa3b2;--line:rgba(255,255,255,.12);}
+    *{box-sizing:border-box;}
+    body{margin:0;background:var(--bg);color:var(--txt);font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;font-size:13px;}
+    .wrap{width:min(1200px,96vw);margin:24px auto 48px;}
+    .top{display:flex;justify-content:space-between;align-items:center;margin-bottom:14px;}
+    h1{margin:0;font-size:20px;}
+    h2{margin:0 0 10px;font-size:15px;}
+    .sec{background:var(--card);border:1px solid var(--line);border-radius:14px;padding:14px;margin-bottom:14px;overflow-x:auto;}
+    table{width:100%;border-collapse:collapse;}
+    th,td{text-align:left;padding:6px 8px;border-bottom:1px solid var(--line);vertical-align:top;white-space:nowrap;}
+    th{color:var(--muted);font-weight:600;}
+    td.ua{white-space:normal;max-width:320px;color:var(--muted);}
+    form{display:inline;margin:0;}
+    button{padding:4px 10px;border-radius:8px;border:1px solid var(--line);background:#1c2030;color:var(--txt);cursor:pointer;}
+    input{padding:4px 6px;border-radius:6px;border:1px solid var(--line);background:#0e1118;color:var(--txt);}
+    p{margin:0 0 8px;color:var(--muted);}
+    .warn{color:#ffb86b;}
+    .empty{color:var(--muted);}
+    a{color:#c9d4ff;}
+  </style>
+</head>
+<body>
+  <div class="wrap">
+    <div class="top">
+      <h1>Gate Admin</h1>
+      ${postButton("/__admin/logout", {}, "退出后台")}
+    </div>
+
+    <div class="sec">
+      <h2>配置自检（${escapeHtml(healthState[health.status])}）</h2>
+      <p>监控可以请求 <code>/__health</code>（只回总体状态），带 <code>Authorization: Bearer ADMIN_TOKEN</code> 时回下面的明细。</p>
+      <table><tr><th>检查</th><th>结果</th><th>说明</th></tr>${healthRows}</table>
+    </div>
+
+    <div class="sec">
+      <h2>短信发送</h2>
+      ${smsBlock}
+      ${budgetLine}
+    </div>
+
+    <div class="sec">
+      <h2>限流中的 IP（${blocked.length}）</h2>
+      ${blocked.length ? `<table><tr><th>IP</th><th>密语尝试</th><th>核验试错</th><th>最近发送</th><th>解除时间</th><th></th></tr>${blockedRows}</table>` : `<p class="empty">没有</p>`}
+    </div>
+
+    <div class="sec">
+      <h2>活跃会话（${sessions.length}）</h2>
+      ${sessions.length ? `<table><tr><th>身份</th><th>创建</th><th>最近访问</th><th>IP</th><th>国家</th><th>User-Agent</th><th></th></tr>${sessionRows}</table>` : `<p class="empty">没有</p>`}
+    </div>
+
+    <div class="sec">
+      <h2>通行密钥（${passkeys.length}）</h2>
+      ${passkeys.length ? `<table><tr><th>身份</th><th>创建</th><th>最近使用</th><th>创建时的 User-Agent</th><th></th></tr>${passkeyRows}</table>` : `<p class="empty">没有</p>`}
+    </div>
+
+    <div class="sec">
+      <h2>身份验证器 App（${totps.length}）</h2>
+      ${totps.length ? `<table><tr><th>身份</th><th>绑定时间</th><th></th></tr>${totpRows}</table>` : `<p class="empty">没有</p>`}
+    </div>
+
+    <div class="sec">
+      <h2>邀请链接（${invites.length}）</h2>
+      <p>拿到链接的人不用密语和短信就能进来；吊销后用它进来的人也会一起失效。<a href="/__admin/invites.json">查看全部使用记录（JSON）</a></p>
+      ${env.RATE_LIMITER ? "" : `<p class="warn">没有绑定 RATE_LIMITER：可用次数只是尽力而为，几乎同时点开可能多放进一个人。</p>`}
+      <form method="post" action="/__admin/invite">
+        备注 <input name="label" size="12">
+        链接 <input name="hours" value="${INVITE_LINK_HOURS}" size="4" inputmode="numeric"> 小时内有效，
+        可用 <input name="maxUses" value="1" size="3" inputmode="numeric"> 次，
+        进来后保持 <input name="ttlHours" value="${INVITE_SESSION_HOURS}" size="4" inputmode="numeric"> 小时，
+        只放行 <input name="scope" size="24" placeholder="留空 = 全站；/letters/**, /album/">
+        <button>生成</button>
+      </form>
+      ${invites.length ? `<table><tr><th>备注</th><th>链接</th><th>范围</th><th>已用</th><th>保持解锁</th><th>链接过期</th><th>状态</th><th>最近使用</th><th></th></tr>${inviteRows}</table>` : `<p class="empty">没有</p>`}
     </div>
 
-    <footer>
-      <div>如果你是 xx，请点击右上角「我是 xx，去解锁」输入密语后获取短信验证码。</div>
-      <div>提示：为了隐私安全，这个模式不会代理/加载任何真实照片或私密内容。</div>
-    </footer>
+    <div class="sec">
+      <h2>最近事件（最多 100 条，保留 ${escapeHtml(getCfg(env).AUDIT_RETENTION_DAYS)} 天）</h2>
+      <p>导出全部：<a href="/__admin/events.json">JSON</a> · <a href="/__admin/events.csv">CSV</a></p>
+      ${events.length ? `<table><tr><th>时间</th><th>类型</th><th>结果</th><th>身份</th><th>IP</th><th>国家</th><th>返回码</th><th>说明</th></tr>${eventRows}</table>` : `<p class="empty">没有</p>`}
+    </div>
   </div>
 </body>
 </html>`;
@@ -329,48 +4453,198 @@ function publicSkeletonPage(url) {
   });
 }
 
-// ----------------------- API：start（密语正确 -> 发送短信验证码） -----------------------
+function adminLoginPage(error = "", status = 200, retryAfter = 0) {
+  const html = `<!doctype html>
+<html lang="zh-CN">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <meta name="robots" content="noindex" />
+  <title>Gate Admin</title>
+  <style>
+    body{margin:0;min-height:100vh;display:flex;align-items:center;justify-content:center;background:#0b0c10;color:#eef1f8;font-family:system-ui,-apple-system,Segoe UI,Roboto,Helvetica,Arial;}
+    form{width:min(360px,92vw);background:#131622;border:1px solid rgba(255,255,255,.12);border-radius:16px;padding:22px;}
+    h1{margin:0 0 14px;font-size:18px;}
+    input{width:100%;padding:10px 12px;border-radius:10px;border:1px solid rgba(255,255,255,.12);background:#0e1118;color:#eef1f8;font-size:15px;box-sizing:border-box;}
+    button{margin-top:12px;width:100%;padding:10px;border-radius:10px;border:0;background:#f9f9fb;color:#0f1117;font-weight:700;cursor:pointer;}
+    .err{color:#ff8585;margin:10px 0 0;font-size:13px;}
+  </style>
+</head>
+<body>
+  <form method="post" action="/__admin/login">
+    <h1>Gate Admin</h1>
+    <input type="password" name="token" placeholder="ADMIN_TOKEN" autocomplete="current-password" autofocus />
+    <button>登录</button>
+    ${error ? `<div class="err">${escapeHtml(error)}</div>` : ""}
+  </form>
+</body>
+</html>`;
 
-async function apiStart(request, env) {
-  const cfg = getCfg(env);
-  const ip = request.headers.get("CF-Connecting-IP") || "0.0.0.0";
+  const headers = new Headers({
+    "content-type": "text/html; charset=utf-8",
+    "cache-control": "no-store",
+  });
+  if (retryAfter) headers.set("retry-after", String(retryAfter));
+  return new Response(html, { status, headers });
+}
 
-  // Body
-  let body;
-  try { body = await request.json(); } catch { body = {}; }
-  const phrase = (body.phrase || "").toString();
+// ----------------------- 验证码 Provider（发送 / 核验） -----------------------
+//
+// 每个 provider 提供两个方法：
+// - send(env, { phone, countryCode })        -> { ok, message?, data? }
+// - check(env, { phone, countryCode, code }) -> { ok, pass, message?, data? }
+// ok 表示“调用本身是否成功”，pass 才表示验证码是否正确（与阿里云 Code / VerifyResult 的语义一致）。
+//
+// 通过 OTP_PROVIDER 选择：
+// - aliyun（默认）  阿里云 PNVS：SendSmsVerifyCode / CheckSmsVerifyCode，验证码由阿里云生成并校验
+// - webhook         把发送/核验都转给你自己的服务（请求体带 HMAC 签名）
+// - self            Worker 自己生成验证码，KV 里只存加盐哈希；投递交给 OTP_SENDER 指定的发送器
+// - sandbox         本地联调，不发真短信（正式域名上拒绝启用）
 
-  // 粗略限流：密语尝试（10分钟 20次）
-  const pwKey = `rl:pw:${ip}`;
-  const pwCount = await bumpCounter(env, pwKey, 10 * 60);
-  if (pwCount > 20) return json({ ok: false, message: "尝试次数过多，请稍后再试。" }, 429);
+const OTP_PROVIDERS = {
+  aliyun: {
+    name: "aliyun",
+    async send(env, { phone, countryCode }) {
+      const missing = missingEnv(env, ["ALIYUN_SIGN_NAME", "ALIYUN_TEMPLATE_CODE"]);
+      if (missing) return { ok: false, message: `缺少环境变量 ${missing}` };
+      if (!phone) return { ok: false, message: "缺少环境变量 TARGET_PHONE" };
 
-  if (!env.PASSPHRASE || phrase !== env.PASSPHRASE) {
-    return json({ ok: false, message: "密语不对哦～" }, 401);
-  }
+      return aliyunCall(env, "SendSmsVerifyCode", sendSmsVerifyCodeParams(env, { phone, countryCode }), { sentCodes: ["biz.FREQUENCY"] });
+    },
+    async check(env, { phone, countryCode, code }) {
+      if (!phone) return { ok: false, message: "缺少环境变量 TARGET_PHONE" };
+      const resp = await aliyunCall(env, "CheckSmsVerifyCode", checkSmsVerifyCodeParams({ phone, countryCode, code }));
+      if (!resp.ok) return resp;
+      // 注意：API 调用成功（Code=OK）不等于核验成功，要看 Model.VerifyResult
+      return { ok: true, pass: resp.data?.Model?.VerifyResult === "PASS", data: resp.data };
+    },
+  },
 
-  // 发送冷却（本地层面再控一次，防止有人刷你短信额度）
-  const coolKey = `rl:sms:${ip}`;
-  const now = Date.now();
-  const last = await env.OTP_KV.get(coolKey);
-  if (last && now - Number(last) < cfg.SMS_COOLDOWN_SECONDS * 1000) {
-    return json({ ok: false, message: "操作太快啦，稍等一会再试～" }, 429);
-  }
+  webhook: {
+    name: "webhook",
+    async send(env, { phone, countryCode }) {
+      const cfg = getCfg(env);
+      return otpWebhookCall(env, {
+        action: "send",
+        phone,
+        countryCode,
+        codeLength: cfg.CODE_LENGTH,
+        codeType: cfg.CODE_TYPE,
+        validSeconds: cfg.VALID_TIME_SECONDS,
+        intervalSeconds: cfg.INTERVAL_SECONDS,
+      });
+    },
+    async check(env, { phone, countryCode, code }) {
+      const resp = await otpWebhookCall(env, { action: "check", phone, countryCode, code });
+      if (!resp.ok) return resp;
+      return { ok: true, pass: resp.data?.pass === true, data: resp.data };
+    },
+  },
 
-  // sid：用于绑定“已通过密语”的短会话
-  const sid = crypto.randomUUID();
-  await env.OTP_KV.put(`sid:${sid}`, JSON.stringify({ ok: true, ts: now }), { expirationTtl: cfg.SID_TTL_SECONDS });
+  self: {
+    name: "self",
+    async send(env, { phone, countryCode }) {
+      if (!phone) return { ok: false, message: "缺少环境变量 TARGET_PHONE" };
+      const cfg = getCfg(env);
+      const key = await selfOtpKey(countryCode, phone);
+      const now = Date.now();
 
-  // 调用阿里云：SendSmsVerifyCode
-  const min = String(Math.max(1, Math.ceil(cfg.VALID_TIME_SECONDS / 60)));
-  const templateParam = JSON.stringify({ code: "##code##", min });
+      // 模拟阿里云的 Interval：同一号码在间隔内不重复发
+      const prev = safeJsonParse(await env.OTP_KV.get(key));
+      if (prev && now - prev.ts < cfg.INTERVAL_SECONDS * 1000) {
+        return { ok: false, message: "发送太频繁，请稍后再试", data: { Code: "biz.FREQUENCY" } };
+      }
+
+      const code = generateOtpCode(cfg.CODE_LENGTH, cfg.CODE_TYPE);
+      const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+      const hash = await sha256Hex(`${salt}.${normalizeOtpCode(code)}`);
+
+      const sender = OTP_SENDERS[(env.OTP_SENDER || "webhook").toLowerCase()];
+      if (!sender) return { ok: false, message: `未知的 OTP_SENDER：${env.OTP_SENDER}` };
+      const delivered = await sender.deliver(env, { phone, countryCode, code, validSeconds: cfg.VALID_TIME_SECONDS });
+      if (!delivered.ok) return delivered;
+
+      // KV 的 expirationTtl 最小 60 秒；真正的有效期以 exp 为准
+      await env.OTP_KV.put(key, JSON.stringify({ salt, hash, ts: now, exp: now + cfg.VALID_TIME_SECONDS * 1000, fails: 0 }), {
+        expirationTtl: Math.max(60, cfg.VALID_TIME_SECONDS),
+      });
+      return { ok: true };
+    },
+    async check(env, { phone, countryCode, code }) {
+      if (!phone) return { ok: false, message: "缺少环境变量 TARGET_PHONE" };
+      const key = await selfOtpKey(countryCode, phone);
+      const rec = safeJsonParse(await env.OTP_KV.get(key));
+      if (!rec || Date.now() > rec.exp) return { ok: true, pass: false };
+
+      const hash = await sha256Hex(`${rec.salt}.${normalizeOtpCode(code)}`);
+      if (timingSafeEqual(hash, rec.hash)) {
+        await env.OTP_KV.delete(key); // 一次性
+        return { ok: true, pass: true };
+      }
+
+      // 错太多次直接作废，防止在有效期内穷举
+      rec.fails = (rec.fails || 0) + 1;
+      if (rec.fails >= SELF_OTP_MAX_FAILS) {
+        await env.OTP_KV.delete(key);
+      } else {
+        const ttl = Math.max(60, Math.ceil((rec.exp - Date.now()) / 1000));
+        await env.OTP_KV.put(key, JSON.stringify(rec), { expirationTtl: ttl });
+      }
+      return { ok: true, pass: false };
+    },
+  },
+
+  // 本地联调用（wrangler dev）：构造并签名真实的阿里云请求但不发出去，验证码打印到控制台 + KV
+  sandbox: {
+    name: "sandbox",
+    async send(env, { phone, countryCode, host }) {
+      if (!sandboxHostAllowed(env, host)) return { ok: false, message: `sandbox 模式只能在本地或 SANDBOX_ALLOWED_HOSTS 里的域名上使用（当前 ${host}）` };
 
-  const sendParams = {
-    PhoneNumber: env.TARGET_PHONE,
-    CountryCode: cfg.COUNTRY_CODE,
+      const signed = await buildAliyunRequest(env, "SendSmsVerifyCode", sendSmsVerifyCodeParams(env, { phone, countryCode }));
+
+      const simulated = sandboxSimulatedError(env.SANDBOX_SIMULATE);
+      if (simulated) {
+        await sandboxLog(env, { action: "SendSmsVerifyCode", host, request: signed, response: simulated });
+        return { ok: false, message: simulated.Message, data: simulated };
+      }
+
+      const cfg = getCfg(env);
+      const code = env.SANDBOX_FIXED_CODE || generateOtpCode(cfg.CODE_LENGTH, cfg.CODE_TYPE);
+      const key = `sandbox:${await selfOtpKey(countryCode, phone)}`;
+      await env.OTP_KV.put(key, JSON.stringify({ code, exp: Date.now() + cfg.VALID_TIME_SECONDS * 1000 }), {
+        expirationTtl: Math.max(60, cfg.VALID_TIME_SECONDS),
+      });
+      await sandboxLog(env, { action: "SendSmsVerifyCode", host, request: signed, code });
+      return { ok: true, data: { Code: "OK", Success: true, Message: "成功", RequestId: `sandbox-${crypto.randomUUID()}` } };
+    },
+    async check(env, { phone, countryCode, code, host }) {
+      if (!sandboxHostAllowed(env, host)) return { ok: false, message: `sandbox 模式只能在本地或 SANDBOX_ALLOWED_HOSTS 里的域名上使用（当前 ${host}）` };
+
+      const signed = await buildAliyunRequest(env, "CheckSmsVerifyCode", checkSmsVerifyCodeParams({ phone, countryCode, code }));
+
+      const key = `sandbox:${await selfOtpKey(countryCode, phone)}`;
+      const rec = safeJsonParse(await env.OTP_KV.get(key));
+      const issued = rec && Date.now() <= rec.exp ? rec.code : null;
+      const pass = [env.SANDBOX_FIXED_CODE, issued].some(c => c && normalizeOtpCode(c) === normalizeOtpCode(code));
+      if (pass) await env.OTP_KV.delete(key);
+
+      await sandboxLog(env, { action: "CheckSmsVerifyCode", host, request: signed, verifyResult: pass ? "PASS" : "UNKNOWN" });
+      return { ok: true, pass };
+    },
+  },
+};
+
+const SELF_OTP_MAX_FAILS = 5;
+
+function sendSmsVerifyCodeParams(env, { phone, countryCode }) {
+  const cfg = getCfg(env);
+  const min = String(Math.max(1, Math.ceil(cfg.VALID_TIME_SECONDS / 60)));
+  return {
+    PhoneNumber: phone,
+    CountryCode: countryCode,
     SignName: env.ALIYUN_SIGN_NAME,
     TemplateCode: env.ALIYUN_TEMPLATE_CODE,
-    TemplateParam: templateParam,
+    TemplateParam: JSON.stringify({ code: "##code##", min }),
     CodeLength: String(cfg.CODE_LENGTH),
     ValidTime: String(cfg.VALID_TIME_SECONDS),
     Interval: String(cfg.INTERVAL_SECONDS),
@@ -378,229 +4652,500 @@ async function apiStart(request, env) {
     ReturnVerifyCode: "false",
     AutoRetry: "1",
   };
+}
 
-  const sendResp = await aliyunCall(env, "SendSmsVerifyCode", sendParams);
-  if (!sendResp.ok) {
-    return json({ ok: false, message: `短信发送失败：${sendResp.message}` }, 502);
-  }
-
-  // 写冷却
-  await env.OTP_KV.put(coolKey, String(now), { expirationTtl: 10 * 60 });
+function checkSmsVerifyCodeParams({ phone, countryCode, code }) {
+  return {
+    PhoneNumber: phone,
+    CountryCode: countryCode,
+    VerifyCode: code,
+    CaseAuthPolicy: "1",
+  };
+}
 
-  // 设置 sid cookie（让前端进入验证码页；并用于 verify）
-  const headers = new Headers({ "cache-control": "no-store" });
-  headers.append("set-cookie", cookie("cf_sid", sid, {
-    httpOnly: true,
-    secure: true,
-    sameSite: "Lax",
-    path: "/",
-    maxAge: cfg.SID_TTL_SECONDS,
-    domain: env.COOKIE_DOMAIN,
-  }));
-  // 清 public 模式
-  headers.append("set-cookie", cookie("cf_mode", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+function getOtpProviderName(env) {
+  return (env.OTP_PROVIDER || "aliyun").toLowerCase();
+}
 
-  return json({ ok: true, message: "验证码已发送，请查收短信。" }, 200, headers);
+function getOtpProvider(env, name = getOtpProviderName(env)) {
+  const provider = OTP_PROVIDERS[name];
+  if (provider) return provider;
+  const fail = async () => ({ ok: false, message: `未知的 OTP_PROVIDER：${name}` });
+  return { name, send: fail, check: fail };
 }
 
-// ----------------------- API：verify（调用 CheckSmsVerifyCode 校验） -----------------------
+// 阿里云（Dypnsapi / Dysmsapi）常见错误码 -> 给用户看的原因（MESSAGES 里的 sms_error.*）。
+// 原始错误码作为 code 一起返回、记进审计事件，方便对照阿里云文档排查；没列出的都算 unknown。
+const PROVIDER_ERROR_REASONS = {
+  "isv.BUSINESS_LIMIT_CONTROL": "phone_limit",
+  "isv.DAY_LIMIT_CONTROL": "phone_limit",
+  "biz.FREQUENCY": "frequency",
+  "isv.SMS_TEMPLATE_ILLEGAL": "config",
+  "isv.SMS_SIGNATURE_ILLEGAL": "config",
+  "isv.TEMPLATE_MISSING_PARAMETERS": "config",
+  "isv.INVALID_PARAMETERS": "config",
+  "isv.PARAM_LENGTH_LIMIT": "config",
+  "isp.RAM_PERMISSION_DENY": "config",
+  "InvalidAccessKeyId.NotFound": "config",
+  "InvalidAccessKeyId.Inactive": "config",
+  "SignatureDoesNotMatch": "config",
+  "isv.MOBILE_NUMBER_ILLEGAL": "phone_invalid",
+  "isv.MOBILE_COUNT_OVER_LIMIT": "phone_invalid",
+  "isv.AMOUNT_NOT_ENOUGH": "account",
+  "isv.OUT_OF_SERVICE": "account",
+  "isv.ACCOUNT_NOT_EXISTS": "account",
+  "isv.ACCOUNT_ABNORMAL": "account",
+  "isp.SYSTEM_ERROR": "unavailable",
+  "ServiceUnavailable": "unavailable",
+  "Throttling": "unavailable",
+  "Throttling.User": "unavailable",
+  "Throttling.Api": "unavailable",
+};
 
-async function apiVerify(request, env) {
-  const cfg = getCfg(env);
-  const cookies = parseCookies(request.headers.get("Cookie") || "");
-  const sid = cookies["cf_sid"];
-  if (!sid) return json({ ok: false, message: "缺少会话信息，请返回重新解锁。" }, 400);
+// provider 返回的失败 -> { reason, code }；没有错误码的（缺配置、网络错误、webhook 自己的报错）code 为 provider_error，
+// 阿里云网络错误 / 超时（重试后仍失败）算 unavailable
+function providerError(resp) {
+  const code = resp.data?.Code || "";
+  const reason = PROVIDER_ERROR_REASONS[code] || (resp.network ? "unavailable" : "unknown");
+  return { reason, code: code || "provider_error" };
+}
 
-  const sidState = await env.OTP_KV.get(`sid:${sid}`);
-  if (!sidState) return json({ ok: false, message: "会话已过期，请重新解锁获取验证码。" }, 410);
+// --- sandbox provider ---
 
-  let body;
-  try { body = await request.json(); } catch { body = {}; }
-  const code = (body.code || "").toString().trim();
-  if (!/^[0-9A-Za-z]{4,8}$/.test(code)) {
-    return json({ ok: false, message: "请输入正确的验证码（4~8位）。" }, 400);
-  }
+// SANDBOX_SIMULATE 可填下面的别名，也可以直接填阿里云错误码（如 isv.DAY_LIMIT_CONTROL）
+const SANDBOX_ERRORS = {
+  business_limit: { Code: "isv.BUSINESS_LIMIT_CONTROL", Message: "触发号码天级流控Permits:10" },
+  frequency: { Code: "biz.FREQUENCY", Message: "check frequency failed" },
+  invalid_template: { Code: "isv.SMS_TEMPLATE_ILLEGAL", Message: "该账号下找不到对应模板" },
+  invalid_sign: { Code: "isv.SMS_SIGNATURE_ILLEGAL", Message: "该账号下找不到对应签名" },
+  mobile_illegal: { Code: "isv.MOBILE_NUMBER_ILLEGAL", Message: "非法手机号" },
+};
 
-  // 调用阿里云：CheckSmsVerifyCode
-  const verifyParams = {
-    PhoneNumber: env.TARGET_PHONE,
-    CountryCode: cfg.COUNTRY_CODE,
-    VerifyCode: code,
-    CaseAuthPolicy: "1",
+function sandboxSimulatedError(name) {
+  if (!name) return null;
+  const base = SANDBOX_ERRORS[name.toLowerCase()] || { Code: name, Message: `sandbox 模拟错误：${name}` };
+  return { ...base, Success: false, RequestId: `sandbox-${crypto.randomUUID()}` };
+}
+
+async function sandboxLog(env, { action, host, request, ...rest }) {
+  const entry = {
+    ts: new Date().toISOString(),
+    action,
+    host,
+    request: {
+      method: request.method,
+      url: request.url,
+      headers: Object.fromEntries(request.headers.entries()),
+      canonicalRequest: request.canonicalRequest,
+      stringToSign: request.stringToSign,
+    },
+    ...rest,
   };
+  console.log("[sandbox]", JSON.stringify(entry, null, 2));
+  await env.OTP_KV.put("sandbox:last", JSON.stringify(entry), { expirationTtl: 3600 });
+}
 
-  const checkResp = await aliyunCall(env, "CheckSmsVerifyCode", verifyParams);
-  if (!checkResp.ok) {
-    return json({ ok: false, message: `核验失败：${checkResp.message}` }, 502);
-  }
+// sandbox 会接受 SANDBOX_FIXED_CODE、把验证码写进日志，只允许本地（wrangler dev）和明确列出的测试域名，其他一律拒绝
+const SANDBOX_LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
 
-  // 注意：API 调用成功（Code=OK）不等于核验成功，要看 Model.VerifyResult
-  const verifyResult = checkResp.data?.Model?.VerifyResult;
-  if (verifyResult !== "PASS") {
-    return json({ ok: false, message: "验证码不对或已过期，再试一次～" }, 401);
-  }
+function sandboxHostAllowed(env, host) {
+  if (!host) return false;
+  const h = host.toLowerCase();
+  return SANDBOX_LOCAL_HOSTS.includes(h) || splitList(env.SANDBOX_ALLOWED_HOSTS).some(a => a.toLowerCase() === h);
+}
 
-  // 成功：删 sid
-  await env.OTP_KV.delete(`sid:${sid}`);
+async function otpWebhookCall(env, payload) {
+  const missing = missingEnv(env, ["OTP_WEBHOOK_URL", "OTP_WEBHOOK_SECRET"]);
+  if (missing) return { ok: false, message: `缺少环境变量 ${missing}` };
 
-  // 设置授权 cookie（30天）
-  const ts = Date.now();
-  const token = await signAuthToken(env, ts);
+  const resp = await postSignedJson(env.OTP_WEBHOOK_URL, env.OTP_WEBHOOK_SECRET, payload);
+  if (!resp.ok) return { ok: false, message: resp.data?.message || resp.message || `HTTP ${resp.status}`, data: resp.data };
+  if (resp.data?.ok !== true) return { ok: false, message: resp.data?.message || "webhook 返回失败", data: resp.data };
+  return { ok: true, data: resp.data };
+}
 
-  const headers = new Headers({ "cache-control": "no-store" });
-  headers.append("set-cookie", cookie("cf_auth", token, {
-    httpOnly: true,
-    secure: true,
-    sameSite: "Lax",
-    path: "/",
-    maxAge: cfg.AUTH_TTL_DAYS * 24 * 3600,
-    domain: env.COOKIE_DOMAIN,
-  }));
-  // 清 sid
-  headers.append("set-cookie", cookie("cf_sid", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
+// --- self provider：验证码生成 + 投递 ---
 
-  return json({ ok: true, message: "验证成功！欢迎进入～" }, 200, headers);
-}
+// 与阿里云 CodeType 对齐：1 纯数字 2 纯大写 3 纯小写 4 大小写混合 5 数字+大写 6 数字+小写 7 数字+大小写
+const OTP_CHARSETS = {
+  1: "0123456789",
+  2: "ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  3: "abcdefghijklmnopqrstuvwxyz",
+  4: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
+  5: "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ",
+  6: "0123456789abcdefghijklmnopqrstuvwxyz",
+  7: "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz",
+};
 
-// ----------------------- 模式切换 -----------------------
+function generateOtpCode(length, codeType) {
+  const charset = OTP_CHARSETS[codeType] || OTP_CHARSETS[1];
+  // 拒绝采样，避免取模偏差
+  const limit = 256 - (256 % charset.length);
+  let out = "";
+  while (out.length < length) {
+    for (const b of crypto.getRandomValues(new Uint8Array(length * 2))) {
+      if (b < limit && out.length < length) out += charset[b % charset.length];
+    }
+  }
+  return out;
+}
 
-function enterPublicMode(env) {
-  const headers = new Headers({ "cache-control": "no-store", "location": "/" });
-  headers.append("set-cookie", cookie("cf_mode", "public", {
-    httpOnly: true,
-    secure: true,
-    sameSite: "Lax",
-    path: "/",
-    maxAge: 7 * 24 * 3600,
-    domain: env.COOKIE_DOMAIN,
-  }));
-  // 清掉其他状态
-  headers.append("set-cookie", cookie("cf_sid", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
-  headers.append("set-cookie", cookie("cf_auth", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
-  return new Response(null, { status: 302, headers });
+// 与 CaseAuthPolicy=1 一致：核验不区分大小写
+function normalizeOtpCode(code) {
+  return String(code).trim().toUpperCase();
 }
 
-function logout(env) {
-  const headers = new Headers({ "cache-control": "no-store", "location": "/__gate" });
-  headers.append("set-cookie", cookie("cf_auth", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
-  headers.append("set-cookie", cookie("cf_sid", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
-  headers.append("set-cookie", cookie("cf_mode", "", { maxAge: 0, domain: env.COOKIE_DOMAIN }));
-  return new Response(null, { status: 302, headers });
+async function selfOtpKey(countryCode, phone) {
+  // key 里不直接放手机号
+  const h = await sha256Hex(`${countryCode}:${phone}`);
+  return `otp:${h.slice(0, 32)}`;
 }
 
-// ----------------------- Cookie 签名（放行完整版） -----------------------
+// 发送器：只负责把 Worker 生成的验证码送到手机上，通过 OTP_SENDER 选择
+const OTP_SENDERS = {
+  // 通用 webhook：把验证码交给你自己的短信/IM 网关
+  webhook: {
+    async deliver(env, { phone, countryCode, code, validSeconds }) {
+      const missing = missingEnv(env, ["OTP_SENDER_URL", "OTP_SENDER_SECRET"]);
+      if (missing) return { ok: false, message: `缺少环境变量 ${missing}` };
+      const min = Math.max(1, Math.ceil(validSeconds / 60));
+      const resp = await postSignedJson(env.OTP_SENDER_URL, env.OTP_SENDER_SECRET, {
+        action: "deliver",
+        phone,
+        countryCode,
+        code,
+        validSeconds,
+        text: `验证码 ${code}，${min} 分钟内有效。`,
+      });
+      if (!resp.ok) return { ok: false, message: resp.data?.message || resp.message || `HTTP ${resp.status}` };
+      return { ok: true };
+    },
+  },
 
-async function signAuthToken(env, ts) {
-  const msg = `full.${ts}`;
-  const sig = await hmacSha256Hex(env.COOKIE_SECRET, msg);
-  return `${ts}.${sig}`;
-}
+  // 阿里云普通短信（Dysmsapi SendSms），需要自己申请的签名 + 带 ${code} 变量的模板
+  aliyun_sms: {
+    async deliver(env, { phone, countryCode, code, validSeconds }) {
+      const missing = missingEnv(env, ["ALIYUN_SMS_SIGN_NAME", "ALIYUN_SMS_TEMPLATE_CODE"]);
+      if (missing) return { ok: false, message: `缺少环境变量 ${missing}` };
+      const min = String(Math.max(1, Math.ceil(validSeconds / 60)));
+      return aliyunCall(env, "SendSms", {
+        PhoneNumbers: countryCode === "86" ? phone : `${countryCode}${phone}`,
+        SignName: env.ALIYUN_SMS_SIGN_NAME,
+        TemplateCode: env.ALIYUN_SMS_TEMPLATE_CODE,
+        TemplateParam: JSON.stringify({ code, min }),
+      }, { product: "dysmsapi", sentCodes: ["isv.BUSINESS_LIMIT_CONTROL"] });
+    },
+  },
+};
 
-async function verifyAuthCookie(token, env) {
-  try {
-    const [tsStr, sig] = token.split(".");
-    const ts = Number(tsStr);
-    if (!Number.isFinite(ts) || !sig) return false;
+// ----------------------- 阿里云 OpenAPI：ACS3-HMAC-SHA256 -----------------------
 
-    const cfg = getCfg(env);
-    const maxAgeMs = cfg.AUTH_TTL_DAYS * 24 * 3600 * 1000;
-    if (Date.now() - ts > maxAgeMs) return false;
+// 请求被拒、没有真正执行的错误码，可以放心重试
+const ALIYUN_RETRY_CODES = new Set([
+  "Throttling", "Throttling.User", "Throttling.Api", "Throttling.System", "ServiceUnavailable",
+]);
+// 服务端出错：请求可能已经执行了一半（短信可能已经发出），和超时 / 5xx 一样算「结果不明」
+const ALIYUN_AMBIGUOUS_CODES = new Set(["InternalError", "isp.SYSTEM_ERROR"]);
+const ALIYUN_RETRY_BASE_MS = 200;
+const ALIYUN_RETRY_CAP_MS = 2000;
+const ALIYUN_MAX_RETRIES_LIMIT = 5;
 
-    const expected = await hmacSha256Hex(env.COOKIE_SECRET, `full.${tsStr}`);
-    return timingSafeEqual(sig, expected);
-  } catch {
-    return false;
-  }
-}
+const ALIYUN_PRODUCTS = {
+  dypnsapi: { endpointVar: "ALIYUN_ENDPOINT", version: "2017-05-25" },
+  dysmsapi: { endpointVar: "ALIYUN_SMS_ENDPOINT", version: "2017-05-25" },
+};
 
-// ----------------------- 阿里云 OpenAPI：ACS3-HMAC-SHA256 -----------------------
+// 自动重试（指数退避 + full jitter），每次重试都重新签名（新的 nonce / 时间）：
+// - 限流码 / 429：请求被拒、没有执行，总是重试
+// - 网络错误、超时、5xx（结果不明，可能已经执行）：只有发短信的调用（传了 sentCodes）才重试，
+//   重试被频控挡回来（sentCodes 里的错误码）说明之前那次其实已经发出去了，按发送成功返回（duplicate: true）；
+//   核验（CheckSmsVerifyCode）不重试，否则已经核销的 PASS 会在重试时变成失败
+async function aliyunCall(env, action, queryParams, { product = "dypnsapi", sentCodes = null } = {}) {
+  // 必填检查（签名/模板/号码由各 provider 自己检查）
+  const missing = missingEnv(env, ["ALIYUN_ACCESS_KEY_ID", "ALIYUN_ACCESS_KEY_SECRET"]);
+  if (missing) return { ok: false, message: `缺少环境变量 ${missing}` };
 
-async function aliyunCall(env, action, queryParams) {
-  // 必填检查
-  const required = ["ALIYUN_ACCESS_KEY_ID", "ALIYUN_ACCESS_KEY_SECRET", "ALIYUN_SIGN_NAME", "ALIYUN_TEMPLATE_CODE", "TARGET_PHONE"];
-  for (const k of required) {
-    if (!env[k]) return { ok: false, message: `缺少环境变量 ${k}` };
-  }
-
-  const host = "dypnsapi.aliyuncs.com";
-  const version = "2017-05-25";
-  const method = "POST";
-  const canonicalUri = "/";
-
-  const xAcsDate = iso8601NoMs(new Date());
-  const nonce = crypto.randomUUID();
-  const payloadHash = await sha256HexBytes(new Uint8Array()); // 空 body
-
-  const headersToSign = {
-    "host": host,
-    "x-acs-action": action,
-    "x-acs-content-sha256": payloadHash,
-    "x-acs-date": xAcsDate,
-    "x-acs-signature-nonce": nonce,
-    "x-acs-version": version,
-  };
+  const cfg = getCfg(env);
+  const retries = Math.min(ALIYUN_MAX_RETRIES_LIMIT, Math.max(0, Math.floor(cfg.ALIYUN_MAX_RETRIES)));
+  let result;
+  let maybeSent = false;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) await sleep(Math.random() * Math.min(ALIYUN_RETRY_CAP_MS, ALIYUN_RETRY_BASE_MS * 2 ** (attempt - 1)));
+    result = await aliyunAttempt(env, action, queryParams, product, cfg.ALIYUN_TIMEOUT_MS);
+    if (maybeSent && sentCodes?.includes(result.data?.Code)) {
+      console.warn(`[gate] 阿里云 ${action} 重试返回 ${result.data.Code}，按之前那次已发出处理`);
+      return { ok: true, duplicate: true, data: result.data };
+    }
+    if (!result.retry || (result.retry === "ambiguous" && !sentCodes)) break;
+    if (result.retry === "ambiguous") maybeSent = true;
+    console.warn(`[gate] 阿里云 ${action} 第 ${attempt + 1} 次失败：${result.message}`);
+  }
+  const { retry, ...out } = result;
+  return out;
+}
 
-  const canonicalQueryString = buildCanonicalQueryString(queryParams);
-  const { canonicalHeaders, signedHeaders } = buildCanonicalHeaders(headersToSign);
-
-  const canonicalRequest = [
-    method,
-    canonicalUri,
-    canonicalQueryString,
-    canonicalHeaders,
-    signedHeaders,
-    payloadHash,
-  ].join("\n");
-
-  const hashedCanonicalRequest = await sha256Hex(canonicalRequest);
-  const stringToSign = `ACS3-HMAC-SHA256\n${hashedCanonicalRequest}`;
-  const signature = await hmacSha256Hex(env.ALIYUN_ACCESS_KEY_SECRET, stringToSign);
-
-  const authorization =
-    `ACS3-HMAC-SHA256 ` +
-    `Credential=${env.ALIYUN_ACCESS_KEY_ID},` +
-    `SignedHeaders=${signedHeaders},` +
-    `Signature=${signature}`;
-
-  const url = `https://${host}/?${canonicalQueryString}`;
-  const reqHeaders = new Headers();
-  reqHeaders.set("x-acs-action", action);
-  reqHeaders.set("x-acs-version", version);
-  reqHeaders.set("x-acs-date", xAcsDate);
-  reqHeaders.set("x-acs-signature-nonce", nonce);
-  reqHeaders.set("x-acs-content-sha256", payloadHash);
-  reqHeaders.set("Authorization", authorization);
-
-  const resp = await fetch(url, { method, headers: reqHeaders });
-  const text = await resp.text();
+async function aliyunAttempt(env, action, queryParams, product, timeoutMs) {
+  const signed = await buildAliyunRequest(env, action, queryParams, { product });
+  let resp, text;
+  try {
+    resp = await fetch(signed.url, {
+      method: signed.method,
+      headers: signed.headers,
+      signal: timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : undefined,
+    });
+    text = await resp.text();
+  } catch (e) {
+    const timedOut = e?.name === "TimeoutError" || e?.name === "AbortError";
+    return { ok: false, network: true, retry: "ambiguous", message: timedOut ? `请求超时（${timeoutMs}ms）` : `网络错误：${e?.message || e}` };
+  }
   let data = null;
   try { data = JSON.parse(text); } catch { /* ignore */ }
 
-  if (!resp.ok) return { ok: false, message: `HTTP ${resp.status}` };
-  // 统一判断：Code=OK & Success=true
-  if (data?.Code === "OK" && data?.Success === true) {
+  if (!resp.ok) {
+    const retry = resp.status === 429 || ALIYUN_RETRY_CODES.has(data?.Code) ? "safe"
+      : resp.status >= 500 || ALIYUN_AMBIGUOUS_CODES.has(data?.Code) ? "ambiguous" : null;
+    return { ok: false, status: resp.status, retry, message: data?.Message || `HTTP ${resp.status}`, data };
+  }
+  // 统一判断：Code=OK & Success=true（Dysmsapi 的 SendSms 没有 Success 字段，只看 Code）
+  if (data?.Code === "OK" && data?.Success !== false) {
     return { ok: true, data };
   }
-  return { ok: false, message: data?.Message || data?.Code || "未知错误", data };
+  const retry = ALIYUN_RETRY_CODES.has(data?.Code) ? "safe" : ALIYUN_AMBIGUOUS_CODES.has(data?.Code) ? "ambiguous" : null;
+  return { ok: false, retry, message: data?.Message || data?.Code || "未知错误", data };
+}
+
+// ALIYUN_ENDPOINT / ALIYUN_SMS_ENDPOINT 直接指定；否则有 ALIYUN_REGION 时用 <产品>.<地域>.aliyuncs.com
+function aliyunEndpoint(env, product) {
+  const explicit = env[ALIYUN_PRODUCTS[product].endpointVar];
+  if (explicit) return String(explicit).trim().replace(/^https?:\/\//, "").replace(/\/+$/, "");
+  return env.ALIYUN_REGION ? `${product}.${env.ALIYUN_REGION}.aliyuncs.com` : `${product}.aliyuncs.com`;
+}
+
+// 只构造并签名请求，不发出去（sandbox 也用它打印“本来要发的请求”）；签名本身在 aliyun-signer.js
+async function buildAliyunRequest(env, action, queryParams, { product = "dypnsapi" } = {}) {
+  return signAcs3Request({
+    accessKeyId: env.ALIYUN_ACCESS_KEY_ID || "SANDBOX_ACCESS_KEY_ID",
+    accessKeySecret: env.ALIYUN_ACCESS_KEY_SECRET || "SANDBOX_ACCESS_KEY_SECRET",
+    securityToken: env.ALIYUN_SECURITY_TOKEN || "",
+    host: aliyunEndpoint(env, product),
+    action,
+    version: ALIYUN_PRODUCTS[product].version,
+    query: queryParams,
+  });
+}
+
+// ----------------------- 自检 /__health -----------------------
+//
+// 配错的东西平时要等到 /api/start 才暴露，这里提前检查一遍：必填变量、密钥强度、OTP_KV 能不能读写、
+// getCfg 里的数值参数、当前验证码 provider 需要的变量是否齐全。
+// - GET /__health：谁都能访问，只回 { ok, status }（ok / warn / fail），fail 时 503，给监控用；不写 KV
+// - 带 Authorization: Bearer <ADMIN_TOKEN> 时回完整的 checks（不含任何密钥的值），并做一次 KV 写入 / 读取 / 删除
+// - 管理后台首页也会显示同样的检查结果
+// 缺 COOKIE_SECRET（和 COOKIE_SECRETS）或没绑定 OTP_KV 时整个网关只回 503（见 criticalConfigError），不会带着空密钥跑。
+
+const HEALTH_SECRET_MIN_LENGTH = 32;
+const HEALTH_ADMIN_TOKEN_MIN_LENGTH = 16;
+const HEALTH_SECRETS = ["ORIGIN_SECRET", "OTP_WEBHOOK_SECRET", "OTP_SENDER_SECRET", "AUDIT_WEBHOOK_SECRET"];
+
+// getCfg 数值参数的合理范围：没配时用默认值不检查；配了但不是数字会被悄悄换成默认值，超出范围的照原值生效，都只在这里提示
+const CFG_RULES = {
+  VALID_TIME_SECONDS: { min: 60, max: 3600, int: true },
+  CODE_LENGTH: { min: 4, max: 8, int: true },
+  CODE_TYPE: { min: 1, max: 7, int: true },
+  INTERVAL_SECONDS: { min: 0, max: 3600, int: true },
+  AUTH_TTL_DAYS: { min: 0.01, max: 400 },
+  SESSION_IDLE_HOURS: { min: 0 },
+  SESSION_REFRESH_MINUTES: { min: 0 },
+  REMEMBER_DEVICE_DAYS: { min: 0, max: 400 },
+  TURNSTILE_AFTER_ATTEMPTS: { min: 0, int: true },
+  SID_TTL_SECONDS: { min: 60, int: true },
+  SMS_COOLDOWN_SECONDS: { min: 0, int: true },
+  SMS_PHONE_HOURLY_MAX: { min: 0, int: true },
+  SMS_DAILY_CAP: { min: 0, int: true },
+  SMS_MONTHLY_CAP: { min: 0, int: true },
+  AUDIT_RETENTION_DAYS: { min: 1, int: true },
+  ALIYUN_TIMEOUT_MS: { min: 0, int: true },
+  ALIYUN_MAX_RETRIES: { min: 0, max: ALIYUN_MAX_RETRIES_LIMIT, int: true },
+};
+
+// 各 provider / 发送器要的变量（发送时各自也会再查一遍）
+const PROVIDER_REQUIRED_ENV = {
+  aliyun: ["ALIYUN_ACCESS_KEY_ID", "ALIYUN_ACCESS_KEY_SECRET", "ALIYUN_SIGN_NAME", "ALIYUN_TEMPLATE_CODE"],
+  webhook: ["OTP_WEBHOOK_URL", "OTP_WEBHOOK_SECRET"],
+  self: [],
+  sandbox: [],
+};
+const SENDER_REQUIRED_ENV = {
+  webhook: ["OTP_SENDER_URL", "OTP_SENDER_SECRET"],
+  aliyun_sms: ["ALIYUN_ACCESS_KEY_ID", "ALIYUN_ACCESS_KEY_SECRET", "ALIYUN_SMS_SIGN_NAME", "ALIYUN_SMS_TEMPLATE_CODE"],
+};
+
+// 缺了就不能安全运行的配置，返回缺的名字（没问题返回 null）；只看 env，不读 KV，每个请求都会调用
+function criticalConfigError(env) {
+  if (!env.OTP_KV) return "OTP_KV";
+  if (!cookieSecretRing(env).length) return "COOKIE_SECRET";
+  return null;
+}
+
+function configUnavailable(request, path, missing) {
+  console.error(`[gate] 缺少 ${missing}，网关拒绝服务（见 /__health）`);
+  const lang = pickLocale(request);
+  if (path.startsWith("/api/")) return jsonError(lang, "config_incomplete", 503);
+  return new Response(t(lang, "config_incomplete"), {
+    status: 503,
+    headers: {
+      "content-type": "text/plain; charset=utf-8",
+      "cache-control": "no-store",
+      "x-robots-tag": "noindex",
+    },
+  });
 }
 
-// --- Canonical helpers ---
+async function handleHealth(request, env) {
+  const auth = request.headers.get("Authorization") || "";
+  const detailed = Boolean(env.ADMIN_TOKEN) && auth.startsWith("Bearer ") && timingSafeEqual(auth.slice(7), env.ADMIN_TOKEN);
+  const host = new URL(request.url).hostname;
+  const report = await runHealthChecks(env, { host, probe: detailed });
+  const body = detailed ? report : { ok: report.ok, status: report.status };
+  return json(body, report.ok ? 200 : 503, new Headers({ "x-robots-tag": "noindex" }));
+}
+
+// 返回 { ok, status, site, provider, checkedAt, checks: [{ id, status, message }] }；有 fail 时 ok 为 false
+async function runHealthChecks(env, { host = "", probe = false } = {}) {
+  const checks = [];
+  const add = (id, status, message) => checks.push({ id, status, message });
+
+  // 密钥
+  const ring = cookieSecretRing(env);
+  if (!ring.length) {
+    add("cookie_secret", "fail", "缺少 COOKIE_SECRET（或 COOKIE_SECRETS），cf_auth 无法签名，网关已停止服务");
+  } else {
+    const weak = ring.filter(k => k.secret.length < HEALTH_SECRET_MIN_LENGTH);
+    const bad = String(env.COOKIE_SECRETS || "").split(/[\s,]+/).filter(Boolean).filter(it => !/^[^:]+:.+$/.test(it)).length;
+    if (weak.length) add("cookie_secret", "warn", `这些 cookie 密钥短于 ${HEALTH_SECRET_MIN_LENGTH} 位：${weak.map(k => k.kid).join(", ")}`);
+    else if (bad) add("cookie_secret", "warn", `COOKIE_SECRETS 里有 ${bad} 项格式不对（应为 kid:secret），已忽略`);
+    else add("cookie_secret", "ok", `钥匙串 ${ring.length} 把，签发用 ${ring[0].kid}`);
+  }
+  const weakSecrets = HEALTH_SECRETS.filter(name => env[name] && String(env[name]).length < HEALTH_SECRET_MIN_LENGTH);
+  if (weakSecrets.length) add("secrets", "warn", `这些密钥短于 ${HEALTH_SECRET_MIN_LENGTH} 位：${weakSecrets.join(", ")}`);
+  if (env.ADMIN_TOKEN && String(env.ADMIN_TOKEN).length < HEALTH_ADMIN_TOKEN_MIN_LENGTH) {
+    add("admin_token", "warn", `ADMIN_TOKEN 短于 ${HEALTH_ADMIN_TOKEN_MIN_LENGTH} 位，容易被猜到`);
+  }
+
+  // KV
+  const kvOk = await checkKv(env, probe, add);
+
+  // 身份 / 密语 / 手机号
+  if (kvOk) await checkIdentities(env, add);
+  if (!env.COOKIE_DOMAIN) add("cookie_domain", "warn", "没配 COOKIE_DOMAIN，根域名和子域名之间不共享解锁状态");
+
+  // 数值参数
+  const numberProblems = [];
+  for (const [name, rule] of Object.entries(CFG_RULES)) {
+    const raw = env[name];
+    if (raw == null) continue;
+    const n = Number(raw);
+    if (!Number.isFinite(n)) numberProblems.push(`${name}=${JSON.stringify(String(raw))} 不是数字，已用默认值 ${DEFAULTS[name]}`);
+    else if ((rule.int && !Number.isInteger(n)) || (rule.min != null && n < rule.min) || (rule.max != null && n > rule.max)) {
+      numberProblems.push(`${name}=${n} 应为 ${rule.min ?? ""} ~ ${rule.max ?? ""}${rule.int ? " 的整数" : ""}`);
+    }
+  }
+  if (numberProblems.length) add("config_numbers", "warn", numberProblems.join("；"));
+  else add("config_numbers", "ok", "数值参数都在合理范围内");
+
+  // 验证码 provider
+  const provider = getOtpProviderName(env);
+  checkProvider(env, provider, host, add);
+
+  if (Boolean(env.TURNSTILE_SITE_KEY) !== Boolean(env.TURNSTILE_SECRET_KEY)) {
+    add("turnstile", "warn", "TURNSTILE_SITE_KEY / TURNSTILE_SECRET_KEY 只配了一个，人机验证没有开启");
+  }
+
+  const status = checks.some(c => c.status === "fail") ? "fail" : checks.some(c => c.status === "warn") ? "warn" : "ok";
+  return { ok: status !== "fail", status, site: env.SITE_ID || DEFAULT_SITE_ID, provider, checkedAt: new Date().toISOString(), checks };
+}
 
-function buildCanonicalQueryString(params) {
-  const keys = Object.keys(params).sort();
-  return keys.map(k => `${percentEncode(k)}=${percentEncode(String(params[k] ?? ""))}`).join("&");
+// 只读探测一个不存在的键；probe 时再写入 / 读回 / 删除一次（KV 写入有额度，所以只给带凭证的请求做）
+async function checkKv(env, probe, add) {
+  if (!env.OTP_KV) {
+    add("kv", "fail", "没有绑定 OTP_KV，网关已停止服务");
+    return false;
+  }
+  const started = Date.now();
+  try {
+    if (probe) {
+      const key = `health:probe:${crypto.randomUUID()}`;
+      const value = String(started);
+      await env.OTP_KV.put(key, value, { expirationTtl: 60 });
+      const got = await env.OTP_KV.get(key);
+      await env.OTP_KV.delete(key);
+      if (got !== value) {
+        add("kv", "fail", "OTP_KV 写入后读不回来");
+        return false;
+      }
+    } else {
+      await env.OTP_KV.get("health:probe");
+    }
+  } catch (e) {
+    add("kv", "fail", `OTP_KV 读写出错：${e?.message || e}`);
+    return false;
+  }
+  add("kv", "ok", `OTP_KV ${probe ? "读写" : "读取"}正常（${Date.now() - started}ms）`);
+  return true;
 }
 
-function percentEncode(str) {
-  return encodeURIComponent(str)
-    .replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+async function checkIdentities(env, add) {
+  const identities = await loadIdentities(env);
+  const usable = identities.filter(it => it.passphrases.length);
+  if (!usable.length) {
+    add("identities", "fail", env.IDENTITIES || !env.PASSPHRASE
+      ? "没有可用的密语：PASSPHRASE 没配，或 IDENTITIES 为空 / 不是合法的 JSON 数组"
+      : "没有可用的密语");
+    return;
+  }
+  const problems = [];
+  const noPhone = usable.filter(it => !it.phone);
+  const plain = usable.filter(it => it.passphrases.some(p => !/^(pbkdf2-sha256|sha256)\$/.test(p)));
+  if (noPhone.length) problems.push(`这些身份没有手机号，收不到短信验证码：${noPhone.map(it => it.name).join(", ")}`);
+  if (plain.length) problems.push(`这些身份的密语是明文，建议换成 scripts/hash-passphrase.mjs 生成的哈希：${plain.map(it => it.name).join(", ")}`);
+  if (problems.length) add("identities", "warn", problems.join("；"));
+  else add("identities", "ok", `${usable.length} 个身份`);
 }
 
-function buildCanonicalHeaders(headers) {
-  const keys = Object.keys(headers).map(k => k.toLowerCase()).sort();
-  const canonicalHeaders = keys.map(k => `${k}:${String(headers[k]).trim()}\n`).join("");
-  const signedHeaders = keys.join(";");
-  return { canonicalHeaders, signedHeaders };
+function checkProvider(env, provider, host, add) {
+  const required = PROVIDER_REQUIRED_ENV[provider];
+  if (!required) {
+    add("provider", "fail", `未知的 OTP_PROVIDER：${provider}`);
+    return;
+  }
+  const missing = required.filter(name => !env[name]);
+  let detail = provider;
+  if (provider === "self") {
+    const sender = (env.OTP_SENDER || "webhook").toLowerCase();
+    if (!SENDER_REQUIRED_ENV[sender]) {
+      add("provider", "fail", `未知的 OTP_SENDER：${env.OTP_SENDER}`);
+      return;
+    }
+    missing.push(...SENDER_REQUIRED_ENV[sender].filter(name => !env[name]));
+    detail = `self + ${sender}`;
+  }
+  if (missing.length) {
+    add("provider", "fail", `${detail} 缺少环境变量：${missing.join(", ")}`);
+    return;
+  }
+
+  const urls = [provider === "webhook" && env.OTP_WEBHOOK_URL, provider === "self" && env.OTP_SENDER_URL].filter(Boolean);
+  const insecure = urls.filter(u => !/^https:\/\//i.test(String(u)));
+  if (provider === "sandbox") {
+    if (!sandboxHostAllowed(env, host)) add("provider", "fail", `sandbox 只能在本地或 SANDBOX_ALLOWED_HOSTS 里的域名上使用，${host} 上会拒绝工作`);
+    else add("provider", "warn", "sandbox 模式，不会发真短信");
+  } else if (insecure.length) {
+    add("provider", "warn", `${detail}：webhook 地址不是 https`);
+  } else {
+    const aliyun = provider === "aliyun" || detail === "self + aliyun_sms";
+    const endpoint = aliyun ? `，接入点 ${aliyunEndpoint(env, provider === "aliyun" ? "dypnsapi" : "dysmsapi")}${env.ALIYUN_SECURITY_TOKEN ? "，STS 临时凭证" : ""}` : "";
+    add("provider", "ok", `${detail} 需要的变量都已配置${endpoint}`);
+  }
 }
 
 // ----------------------- 通用工具 -----------------------
@@ -613,8 +5158,18 @@ function getCfg(env) {
     CODE_TYPE: num(env.CODE_TYPE, DEFAULTS.CODE_TYPE),
     INTERVAL_SECONDS: num(env.INTERVAL_SECONDS, DEFAULTS.INTERVAL_SECONDS),
     AUTH_TTL_DAYS: num(env.AUTH_TTL_DAYS, DEFAULTS.AUTH_TTL_DAYS),
+    SESSION_IDLE_HOURS: num(env.SESSION_IDLE_HOURS, DEFAULTS.SESSION_IDLE_HOURS),
+    SESSION_REFRESH_MINUTES: num(env.SESSION_REFRESH_MINUTES, DEFAULTS.SESSION_REFRESH_MINUTES),
+    REMEMBER_DEVICE_DAYS: num(env.REMEMBER_DEVICE_DAYS, DEFAULTS.REMEMBER_DEVICE_DAYS),
+    TURNSTILE_AFTER_ATTEMPTS: num(env.TURNSTILE_AFTER_ATTEMPTS, DEFAULTS.TURNSTILE_AFTER_ATTEMPTS),
     SID_TTL_SECONDS: num(env.SID_TTL_SECONDS, DEFAULTS.SID_TTL_SECONDS),
     SMS_COOLDOWN_SECONDS: num(env.SMS_COOLDOWN_SECONDS, DEFAULTS.SMS_COOLDOWN_SECONDS),
+    SMS_PHONE_HOURLY_MAX: num(env.SMS_PHONE_HOURLY_MAX, DEFAULTS.SMS_PHONE_HOURLY_MAX),
+    SMS_DAILY_CAP: num(env.SMS_DAILY_CAP, DEFAULTS.SMS_DAILY_CAP),
+    SMS_MONTHLY_CAP: num(env.SMS_MONTHLY_CAP, DEFAULTS.SMS_MONTHLY_CAP),
+    AUDIT_RETENTION_DAYS: num(env.AUDIT_RETENTION_DAYS, DEFAULTS.AUDIT_RETENTION_DAYS),
+    ALIYUN_TIMEOUT_MS: num(env.ALIYUN_TIMEOUT_MS, DEFAULTS.ALIYUN_TIMEOUT_MS),
+    ALIYUN_MAX_RETRIES: num(env.ALIYUN_MAX_RETRIES, DEFAULTS.ALIYUN_MAX_RETRIES),
   };
 }
 
@@ -623,6 +5178,41 @@ function num(v, d) {
   return Number.isFinite(n) ? n : d;
 }
 
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function missingEnv(env, keys) {
+  return keys.find(k => !env[k]) || null;
+}
+
+function safeJsonParse(text) {
+  if (text == null) return null;
+  try { return JSON.parse(text); } catch { return null; }
+}
+
+// 带 HMAC 签名的 JSON POST：接收方用同一个 secret 校验 x-gate-signature = sha256=HMAC(secret, `${timestamp}.${body}`)
+async function postSignedJson(url, secret, payload) {
+  const body = JSON.stringify(payload);
+  const ts = String(Math.floor(Date.now() / 1000));
+  const sig = await hmacSha256Hex(secret, `${ts}.${body}`);
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json; charset=utf-8",
+        "x-gate-timestamp": ts,
+        "x-gate-signature": `sha256=${sig}`,
+      },
+      body,
+    });
+    const text = await resp.text();
+    return { ok: resp.ok, status: resp.status, data: safeJsonParse(text) };
+  } catch (e) {
+    return { ok: false, status: 0, message: String(e?.message || e) };
+  }
+}
+
 function json(obj, status = 200, extraHeaders) {
   const headers = new Headers({
     "content-type": "application/json; charset=utf-8",
@@ -655,32 +5245,81 @@ function parseCookies(header) {
   return out;
 }
 
-function iso8601NoMs(d) {
-  return d.toISOString().replace(/\.\d{3}Z$/, "Z");
-}
-
 async function sha256Hex(str) {
   const enc = new TextEncoder();
   const buf = await crypto.subtle.digest("SHA-256", enc.encode(str));
   return toHex(buf);
 }
 
-async function sha256HexBytes(bytes) {
-  const buf = await crypto.subtle.digest("SHA-256", bytes);
-  return toHex(buf);
-}
-
-async function hmacSha256Hex(secret, msg) {
+async function hmacSha256(secret, msg) {
+  // 空密钥签出来的东西谁都能伪造：直接报错，不静默继续
+  if (!secret) throw new Error("HMAC 密钥为空");
   const enc = new TextEncoder();
   const key = await crypto.subtle.importKey(
     "raw",
-    enc.encode(secret || ""),
+    enc.encode(secret),
     { name: "HMAC", hash: "SHA-256" },
     false,
     ["sign"]
   );
-  const sig = await crypto.subtle.sign("HMAC", key, enc.encode(msg));
-  return toHex(sig);
+  return crypto.subtle.sign("HMAC", key, enc.encode(msg));
+}
+
+async function hmacSha256Hex(secret, msg) {
+  return toHex(await hmacSha256(secret, msg));
+}
+
+function base64UrlEncode(input) {
+  const bytes = typeof input === "string" ? new TextEncoder().encode(input) : new Uint8Array(input);
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(str) {
+  const b64 = str.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((str.length + 3) % 4);
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function base64UrlDecodeToString(str) {
+  return new TextDecoder().decode(base64UrlDecode(str));
+}
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// RFC 4648，不带 = 填充（otpauth 里的 secret 就是这种）
+function base32Encode(bytes) {
+  let bits = 0, value = 0, out = "";
+  for (const b of bytes) {
+    value = (value << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0, value = 0;
+  const out = [];
+  for (const c of clean) {
+    const idx = BASE32_ALPHABET.indexOf(c);
+    if (idx < 0) throw new Error("invalid base32");
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(out);
 }
 
 function toHex(arrayBuffer) {
@@ -697,13 +5336,6 @@ function timingSafeEqual(a, b) {
   return out === 0;
 }
 
-async function bumpCounter(env, key, ttlSeconds) {
-  const v = await env.OTP_KV.get(key);
-  const n = (v ? Number(v) : 0) + 1;
-  await env.OTP_KV.put(key, String(n), { expirationTtl: ttlSeconds });
-  return n;
-}
-
 function escapeHtml(s) {
   return String(s).replace(/[&<>"']/g, c => ({
     "&":"&amp;","<":"&lt;",">":"&gt;",'"':"&quot;","'":"&#39;"